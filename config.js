@@ -50,6 +50,20 @@ const config = {
    */
   webadvisorApi: 'https://webadvisor-api.herokuapp.com/graphql',
 
+  /**
+   * Defines which course-data provider is used to look up courses for each institution.
+   * Any institution that is not listed will use the provider set as "default".
+   * Each value must be the name of a provider defined in server/providers (e.g. "webadvisor").
+   * @readonly
+   * @constant
+   * @type {Object<String, String>}
+   */
+  dataProviders: {
+    default: 'webadvisor',
+    UOG: 'webadvisor',
+    WLU: 'webadvisor',
+  },
+
   /**
    * Defines the base URL prefix to use for API routes.
    * @readonly
@@ -59,7 +73,8 @@ const config = {
   apiBaseUrl: '/api',
 
   /**
-   * Defines the format to tell morgan to use when logging requests.
+   * Defines the format to tell morgan to use when the local mock of webadvisor-api logs requests.
+   * Slotty itself logs requests through its own logger (see logLevel and logJson).
    * @see https://github.com/expressjs/morgan#readme
    * @readonly
    * @constant
@@ -67,6 +82,32 @@ const config = {
    */
   logFormat: 'common',
 
+  /**
+   * Defines the lowest level that is logged, one of: debug, info, warn, error.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  logLevel: 'info',
+
+  /**
+   * Defines whether each log entry is written as a single line of JSON, for use with a log aggregator.
+   * Set to false for readable lines while developing.
+   * @readonly
+   * @constant
+   * @type {Boolean}
+   */
+  logJson: true,
+
+  /**
+   * Defines whether contacts, access keys, and message contents are written to the log in full.
+   * By default, they are masked (e.g. +1******2222). This is ignored outside of dev mode, so it can never be turned on in production.
+   * @readonly
+   * @constant
+   * @type {Boolean}
+   */
+  logSensitive: false,
+
   /**
    * Defines the port that Slotty will bind its web and API server to by default.
    * If the environment variable "PORT" has been set, it will override this value.
@@ -76,6 +117,42 @@ const config = {
    */
   port: 3001,
 
+  /**
+   * Defines the public URL that Slotty is reached at, without a trailing slash.
+   * This is used to build the links sent in messages (e.g. the link used to verify an email address).
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  siteUrl: 'http://localhost:3001',
+
+  /**
+   * Defines the port that worker processes started with `yarn worker` serve their Prometheus metrics (/metrics) and health checks (/healthz and /readyz) on.
+   * The web server serves its own metrics and health checks on its usual port.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  workerPort: 3003,
+
+  /**
+   * Defines the port that the local mock of webadvisor-api will bind to when started with `yarn mock`.
+   * To use the mock, set the "WEBADVISOR_API" environment variable to http://localhost:<port>/graphql.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  mockApiPort: 3002,
+
+  /**
+   * Defines the directory that the local mock of webadvisor-api loads its course fixtures from.
+   * Each JSON file in this directory contains the courses (and optionally a schedule of changes) for an institution and term.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  mockApiFixtures: 'server/mock/fixtures',
+
   /**
    * Defines the interval, in seconds, between each slot check that is performed.
    * Each slot check will make a large number of HTTP requests (GraphQL queries) to webadvisor-api.
@@ -86,16 +163,209 @@ const config = {
    */
   workerInterval: 15 /* seconds */,
 
+  /**
+   * Defines what the worker does when a slot check takes longer than the workerInterval.
+   * Slot checks never overlap, so when one overruns the worker falls behind its schedule.
+   *  - "skip": Any missed slot checks are skipped and the next one runs at its normally scheduled time.
+   *  - "immediate": The next slot check runs as soon as the last one finishes and then the normal schedule resumes.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  workerBehindPolicy: 'skip',
+
   /**
    * Defines the time, in seconds, that results from slot checks will be considered valid for.
    * If this value is less than the workerInterval, all notifications will be checked on every worker run.
    * Otherwise, if this value is larger than worker interval, notifications will end up being checked in chunks.
+   * Course lookups (made by the worker or the API) are also cached for this long and shared between processes through the course snapshots, so no course is looked up more than once within it.
    * @readonly
    * @constant
    * @type {Number}
    */
   slotDataTtl: 60 /* seconds */,
 
+  /**
+   * Defines the limits applied to the calls made to the course-data source (e.g. webadvisor-api) for each institution.
+   * At most `concurrency` calls are in progress at once and at most `rate` calls are started each second (0 for no limit).
+   * Calls beyond these limits wait their turn, courses that have gone the longest without being checked go first.
+   * Any institution that is not listed will use the limits set as "default".
+   * @readonly
+   * @constant
+   * @type {Object<String, { concurrency: Number, rate: Number }>}
+   */
+  upstreamLimits: {
+    default: { concurrency: 4, rate: 10 },
+    UOG: { concurrency: 4, rate: 10 },
+    WLU: { concurrency: 4, rate: 10 },
+  },
+
+  /**
+   * Defines how the worker backs off from course lookups that keep failing (e.g. while webadvisor-api is down).
+   * A course that fails is not looked up again for `baseDelay` seconds, doubling after each further failure up to `maxDelay` seconds.
+   * Once `failureThreshold` lookups in a row fail for an institution, its circuit opens and no lookups are made for that institution
+   * until the delay has passed, at which point a single lookup is tried before the circuit closes again.
+   * @readonly
+   * @constant
+   * @type {{ failureThreshold: Number, baseDelay: Number, maxDelay: Number }}
+   */
+  upstreamBreaker: {
+    failureThreshold: 5,
+    baseDelay: 30 /* seconds */,
+    maxDelay: 30 * 60 /* seconds */,
+  },
+
+  /**
+   * Defines the time, in seconds, that a single request to a course-data provider may take before it is abandoned and counted as a failure.
+   * Note: This value must be shorter than workerLeaseDuration, so a request that never responds cannot hold up a check for longer than its lease.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  upstreamTimeout: 30 /* seconds */,
+
+  /**
+   * Defines the time, in seconds, that a worker holds its lease on a batch of notifications for.
+   * While a lease is held, no other worker will check those notifications, which allows multiple workers to run at once.
+   * If a worker crashes, its batch can only be picked up by another worker once the lease expires.
+   * Leases are renewed while a check runs and no message is sent for a notification whose lease was lost, so a slow check never sends a message twice.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  workerLeaseDuration: 120 /* seconds */,
+
+  /**
+   * Defines the maximum number of notifications a worker will claim for each slot check.
+   * Any notifications beyond this limit will be left for the next slot check or for other workers.
+   * Set to -1 to claim all active notifications at once.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  workerBatchSize: 500,
+
+  /**
+   * Defines the default expiry of new notifications based upon their term, this is usually the add/drop deadline of the term.
+   * Each institution maps the season of a term key (e.g. "F" for "F22") to the month and day ("MM-DD") of the deadline within the year of the term.
+   * Notifications expire at the end of that day (UTC). Any institution that is not listed will use the deadlines set as "default".
+   * Set the deadline for a season to an empty string to not expire notifications for that season by default.
+   * @readonly
+   * @constant
+   * @type {Object<String, Object<String, String>>}
+   */
+  termDeadlines: {
+    default: { W: '01-20', S: '05-20', F: '09-20' },
+  },
+
+  /**
+   * Defines the debounce policy used to suppress alerts for seats that are only reported briefly (e.g. during enrolment recalculation).
+   * An alert is only sent once the condition of a notification is met for `confirmations` consecutive runs and for at least `minDuration` seconds.
+   * Alerts held back by this policy are recorded as suppressed on the run. Conditions based upon a change are never suppressed.
+   * Any institution that is not listed will use the policy set as "default". By default, a seat must be seen on two runs at least 45 seconds apart.
+   * Set a policy to 1 confirmation and a minDuration of 0 to turn off suppression for it (e.g. FLAP_POLICIES_UOG_CONFIRMATIONS=1 and FLAP_POLICIES_UOG_MIN_DURATION=0).
+   * @readonly
+   * @constant
+   * @type {Object<String, { confirmations: Number, minDuration: Number }>}
+   */
+  flapPolicies: {
+    default: { confirmations: 2, minDuration: 45 /* seconds */ },
+    UOG: { confirmations: 2, minDuration: 45 /* seconds */ },
+    WLU: { confirmations: 2, minDuration: 45 /* seconds */ },
+  },
+
+  /**
+   * Defines the shortest interval, in seconds, that a notification may use between reminders.
+   * Reminders are only checked when a notification is checked, so reminders are sent at most once per slotDataTtl.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  minReminderInterval: 60 /* seconds */,
+
+  /**
+   * Defines the maximum number of reminders a notification may send while its condition stays met.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  maxReminders: 5,
+
+  /**
+   * Defines the IANA timezone used for the quiet hours of notifications that do not specify their own timezone.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  defaultTimezone: 'America/Toronto',
+
+  /**
+   * Defines the time, in seconds, that the availability history of each course is kept for.
+   * Only changes in the availability of each section are recorded, so the history stays compact. This should cover a whole term.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  historyRetention: 180 * 24 * 60 * 60 /* seconds */,
+
+  /**
+   * Defines the time, in seconds, that the record of each worker cycle is kept for.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  cycleRetention: 7 * 24 * 60 * 60 /* seconds */,
+
+  /**
+   * Defines the time, in seconds, after which the worker is reported as not checking when it has not finished a cycle successfully.
+   * This should be a few times longer than the workerInterval so a single slow or failed cycle is not reported.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  workerStaleAfter: 5 * 60 /* seconds */,
+
+  /**
+   * Defines the time, in seconds, after which a worker process reports itself as unhealthy when its scheduler has not finished a cycle.
+   * Unlike workerStaleAfter, failed cycles still count, so this only catches a worker that is stuck rather than one that cannot reach its data.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  workerHeartbeatTimeout: 5 * 60 /* seconds */,
+
+  /**
+   * Defines the time, in seconds, that a health check waits for the database to respond before reporting it as unavailable.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  healthCheckTimeout: 5 /* seconds */,
+
+  /**
+   * Defines how the likelihood of seats opening in a course is estimated from its availability history.
+   * A course is rated "high" or "medium" when it has at least the given number of openings per week, otherwise it is rated "low".
+   * Courses that have been observed for less than `minObserved` seconds are rated "unknown" since there is not enough history.
+   * @readonly
+   * @constant
+   * @type {{ high: Number, medium: Number, minObserved: Number }}
+   */
+  likelihoodThresholds: {
+    high: 3,
+    medium: 0.5,
+    minObserved: 3 * 24 * 60 * 60 /* seconds */,
+  },
+
+  /**
+   * Defines the interval, in seconds, between each check for expired notifications.
+   * Expired notifications are disabled and a message is sent to let the user know their notification has ended.
+   * Note: Expired notifications are never checked by the worker, even if they have not been disabled yet.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  expiryInterval: 60 * 60 /* seconds */,
+
   /**
    * Defines what server should be used as the database for Slotty. Must be a PostgreSQL database.
    * Supply a PostgreSQL connection string for each environment.
@@ -123,6 +393,41 @@ const config = {
     fromNumber: '',
   },
 
+  /**
+   * Defines the SMTP server used to send email notifications and the address they are sent from.
+   * The defaults match a local SMTP catcher (e.g. MailHog or Mailpit) so emails can be tested without sending them.
+   * Leave the user empty for servers that do not require authentication.
+   * @readonly
+   * @constant
+   * @type {{ host: String, port: Number, secure: Boolean, user: String, pass: String, from: String }}
+   */
+  email: {
+    host: 'localhost',
+    port: 1025,
+    secure: false,
+    user: '',
+    pass: '',
+    from: 'Slotty <slotty@localhost>',
+  },
+
+  /**
+   * Defines the secret used to sign the links sent to verify email addresses.
+   * This must be set, to the same value for every web process, in production, where the server will not start without it.
+   * When empty in dev mode, a random secret is used and links stop working once the process restarts.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  verificationSecret: '',
+
+  /**
+   * Defines the time, in seconds, that the link sent to verify an email address can be used for.
+   * @readonly
+   * @constant
+   * @type {Number}
+   */
+  verificationLinkTtl: 7 * 24 * 60 * 60 /* seconds */,
+
   /**
    * Defines the message that will be sent as a notification.
    * A simple replace will be ran over this string to inject a select few variables using a '$' prefix to denote variables.
@@ -133,9 +438,11 @@ const config = {
    *  - $accessKey: The value of notification.accessKey.
    *  - $availableSlots: The current number of available slots.
    *  - $totalSlots: The current total number of slots.
+   *  - $condition: A description of the condition that triggered the notification (e.g. "at least 3 open slots").
    *  - $institutionKey: The value of notification.institutionKey.
    *  - $courseKey: The value of notification.courseKey.
    *  - $sectionKey: The value of notification.sectionKey.
+   *  - $sections: The watched sections that have open slots (or every watched section if none are open), comma separated.
    *  - $termKey: The value of notification.termKey.
    *  - $contact: The value of notification.contact.
    * @readonly
@@ -144,9 +451,47 @@ const config = {
    */
   notificationMessageTemplate: `
 Hello, this is an automated message from $app in relation to the notification with the following access key: "$accessKey".
-Some open slots ($availableSlots/$totalSlots) have been detected for $courseKey/$sectionKey ($institutionKey - $termKey) as of $time.
+$courseKey ($institutionKey - $termKey) now has $condition with $availableSlots/$totalSlots slots open in section(s) $sections as of $time.
 We wish you luck, register fast!
 (Visit $app to disable this notification using the above access key.)
+`.trim(),
+
+  /**
+   * Defines the message that will be sent as a reminder while the condition of a notification stays met.
+   * Supports all of the same variables as notificationMessageTemplate as well as the following.
+   * @example
+   * Variables:
+   *  - $reminderCount: The number of this reminder (e.g. 1 for the first reminder).
+   *  - $reminderLimit: The maximum number of reminders that will be sent.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  reminderMessageTemplate: `
+Reminder $reminderCount of $reminderLimit from $app for the notification with the following access key: "$accessKey".
+$courseKey ($institutionKey - $termKey) still has $condition with $availableSlots/$totalSlots slots open in section(s) $sections as of $time.
+(Visit $app to disable this notification using the above access key.)
+`.trim(),
+
+  /**
+   * Defines the message that will be sent once a notification has expired and been disabled.
+   * As above, a simple replace will be ran over this string to inject some variables using the '$' prefix.
+   * @example
+   * Variables:
+   *  - $app: Extracts the name of the app as a string (e.g. "Slotty").
+   *  - $accessKey: The value of notification.accessKey.
+   *  - $institutionKey: The value of notification.institutionKey.
+   *  - $courseKey: The value of notification.courseKey.
+   *  - $sectionKey: The value of notification.sectionKey.
+   *  - $termKey: The value of notification.termKey.
+   *  - $expiresAt: A datetime string of when the notification expired.
+   * @readonly
+   * @constant
+   * @type {String}
+   */
+  expiredMessageTemplate: `
+Hello, this is an automated message from $app. Your watch for $courseKey ($institutionKey - $termKey) with the access key "$accessKey" has ended as of $expiresAt.
+You will no longer receive messages about this course. Visit $app to re-enable it with a new end date if you still need it.
 `.trim(),
 
   /**
@@ -199,6 +544,70 @@ $app recommends that you write down the access key so you can edit the notificat
 $app is unable to verify the notification with the following access key: "$accessKey".
 Please ensure you are verifying this notification from the correct contact number and that a notification with that access key does exist.
 `.trim(),
+
+  /**
+   * Defines the subject and body of each message when it is sent by email, by message type.
+   * These support the same variables as the matching text message templates above, as well as the following.
+   * Emails are never sent for failed verifications since email addresses are verified by following a link.
+   * @example
+   * Variables:
+   *  - $verifyUrl: The link that verifies the email address (verification only).
+   * @readonly
+   * @constant
+   * @type {Object<String, { subject: String, body: String }>}
+   */
+  emailTemplates: {
+    notification: {
+      subject: '$courseKey has open slots',
+      body: `
+Hello, this is an automated message from $app in relation to the notification with the following access key: "$accessKey".
+
+$courseKey ($institutionKey - $termKey) now has $condition with $availableSlots/$totalSlots slots open in section(s) $sections as of $time.
+
+We wish you luck, register fast!
+
+Visit $app to disable this notification using the above access key.
+`.trim(),
+    },
+    reminder: {
+      subject:
+        'Reminder $reminderCount of $reminderLimit: $courseKey still has open slots',
+      body: `
+Reminder $reminderCount of $reminderLimit from $app for the notification with the following access key: "$accessKey".
+
+$courseKey ($institutionKey - $termKey) still has $condition with $availableSlots/$totalSlots slots open in section(s) $sections as of $time.
+
+Visit $app to disable this notification using the above access key.
+`.trim(),
+    },
+    expired: {
+      subject: 'Your watch for $courseKey has ended',
+      body: `
+Hello, this is an automated message from $app. Your watch for $courseKey ($institutionKey - $termKey) with the access key "$accessKey" has ended as of $expiresAt.
+
+You will no longer receive messages about this course. Visit $app to re-enable it with a new end date if you still need it.
+`.trim(),
+    },
+    verification: {
+      subject: 'Verify your $app notification',
+      body: `
+Hello, this is an automated message from $app. A notification has been $action using your email address, $contact, with the following access key: "$accessKey".
+
+To verify and enable this notification, please open the following link:
+$verifyUrl
+
+If you do not wish to receive messages from $app, please ignore this email.
+`.trim(),
+    },
+    verified: {
+      subject: 'Your $app notification is verified',
+      body: `
+Your notification is now verified! Your notification has the following access key: "$accessKey".
+
+$app recommends that you write down the access key so you can edit the notification in the future!
+`.trim(),
+    },
+  },
 };
 
 /** EVERYTHING BELOW THIS POINT IS FOR CONFIG SETUP, DO NOT CHANGE. */
@@ -0,0 +1,9 @@
+/**
+ * Configures Jest to run the unit tests of the server, which sit next to the modules they test (e.g. server/scheduler.test.js).
+ * The server runs on Node without being compiled, so its tests are not transformed either.
+ */
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/server'],
+  transform: {},
+};
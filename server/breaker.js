@@ -0,0 +1,301 @@
+const config = require('../config');
+
+/**
+ * The state of the lookups for an institution, or for a single course within it, as tracked by the circuit breaker.
+ * @typedef {Object} UpstreamStatus
+ * @property {String} institutionKey The institution the status is for.
+ * @property {(String|null)} termKey The term of the course the status is for, null for the whole institution.
+ * @property {(String|null)} courseKey The course the status is for, null for the whole institution.
+ * @property {String} state The state of the circuit, see BREAKER_STATE.
+ * @property {Number} failures The number of lookups in a row that have failed.
+ * @property {(String|null)} lastError The message of the last error encountered.
+ * @property {(Date|null)} lastFailure When the last lookup failed.
+ * @property {(Date|null)} lastSuccess When the last lookup succeeded, only known once a failure has been seen.
+ * @property {(Date|null)} retryAt When lookups will be tried again while the circuit is open.
+ * @property {Date} updatedAt When the status last changed.
+ */
+
+/**
+ * Defines the states of a circuit.
+ * @readonly
+ * @enum
+ * @type {Object}
+ */
+const BREAKER_STATE = Object.freeze({
+  /** Lookups are made as normal. */
+  CLOSED: 'closed',
+  /** Lookups keep failing and none are made until the retry time. */
+  OPEN: 'open',
+  /** The retry time has passed and a single lookup is being tried. */
+  HALF_OPEN: 'half-open',
+});
+
+/**
+ * The code of the error a lookup is rejected with while its circuit is open, see CircuitBreaker.createOpenError(...).
+ * @readonly
+ * @type {String}
+ */
+const CIRCUIT_OPEN = 'CIRCUIT_OPEN';
+
+/**
+ * Utility to check whether a status allows a lookup to be made, without changing it.
+ * @param {(UpstreamStatus|undefined)} status The status to check.
+ * @param {Date} date The current date.
+ * @returns {Boolean} True when a lookup may be made.
+ */
+const isAllowed = (status, date) =>
+  !status ||
+  status.state === BREAKER_STATE.CLOSED ||
+  (status.state === BREAKER_STATE.OPEN && date >= status.retryAt);
+
+/**
+ * Utility to get the key a status is stored under.
+ * @param {{ institutionKey: String, termKey: (String|undefined), courseKey: (String|undefined) }} scope The institution, or course, of the status.
+ * @returns {String} The key of the status.
+ */
+const toKey = ({ institutionKey, termKey, courseKey }) =>
+  [institutionKey, termKey || '', courseKey || ''].join('/');
+
+/**
+ * Tracks the failures of course lookups per institution and per course so lookups that keep failing are backed off.
+ * Each course backs off on its own after any failure, while a whole institution is cut off once many lookups in a row fail.
+ * @class
+ */
+class CircuitBreaker {
+  /**
+   * The options used to decide when to back off, see config.upstreamBreaker.
+   * @type {{ failureThreshold: Number, baseDelay: Number, maxDelay: Number }}
+   */
+  options = {};
+
+  /**
+   * The status of each institution and course that has failed, by key.
+   * @type {Object<String, UpstreamStatus>}
+   */
+  statuses = {};
+
+  /**
+   * The keys of the statuses that changed since they were last taken with takeChanges().
+   * @type {Set<String>}
+   */
+  changed = new Set();
+
+  /**
+   * Creates a new circuit breaker with no failures.
+   * @param {{ failureThreshold: Number, baseDelay: Number, maxDelay: Number }} [options=config.upstreamBreaker] The options used to decide when to back off.
+   */
+  constructor(options = config.upstreamBreaker) {
+    this.options = { ...options };
+  }
+
+  /**
+   * Gets the status of an institution or course.
+   * @param {Object} scope The institution (without a term and course) or course to get the status of.
+   * @returns {(UpstreamStatus|undefined)} The status or undefined if no lookups have failed for it.
+   */
+  getStatus(scope) {
+    return this.statuses[toKey(scope)];
+  }
+
+  /**
+   * Determines the delay, in seconds, before lookups are tried again.
+   * @private
+   * @param {Number} attempts The number of times the circuit has opened in a row.
+   * @returns {Number} The delay in seconds.
+   */
+  getDelay(attempts) {
+    const { baseDelay, maxDelay } = this.options;
+    return Math.min(baseDelay * Math.pow(2, Math.max(attempts - 1, 0)), maxDelay);
+  }
+
+  /**
+   * Checks whether a course may be looked up right now. When a circuit is ready to be tried again, it moves to half-open
+   * and only the lookup that was allowed is made until its result is recorded.
+   * @param {{ institutionKey: String, termKey: String, courseKey: String }} variables The course to look up.
+   * @param {Date} [date=new Date()] The current date, defaults to now.
+   * @returns {Boolean} True when the lookup should be made.
+   */
+  canRequest(variables, date = new Date()) {
+    const { institutionKey } = variables;
+    const institution = this.getStatus({ institutionKey });
+    const course = this.getStatus(variables);
+
+    if (!isAllowed(institution, date) || !isAllowed(course, date)) {
+      return false;
+    }
+
+    // the circuits that were waiting to be tried again are now being tried
+    [institution, course]
+      .filter(status => status && status.state === BREAKER_STATE.OPEN)
+      .forEach(status => this.update(status, { state: BREAKER_STATE.HALF_OPEN }, date));
+
+    return true;
+  }
+
+  /**
+   * Records a successful lookup, closing the circuits of the course and its institution.
+   * @param {{ institutionKey: String, termKey: String, courseKey: String }} variables The course that was looked up.
+   * @param {Date} [date=new Date()] When the lookup succeeded, defaults to now.
+   * @returns {undefined}
+   */
+  recordSuccess(variables, date = new Date()) {
+    const { institutionKey } = variables;
+    [this.getStatus({ institutionKey }), this.getStatus(variables)]
+      .filter(status => status)
+      .forEach(status =>
+        this.update(
+          status,
+          { state: BREAKER_STATE.CLOSED, failures: 0, retryAt: null, lastSuccess: date },
+          date
+        )
+      );
+  }
+
+  /**
+   * Records a failed lookup, backing off the course and, once enough lookups in a row have failed, the institution.
+   * @param {{ institutionKey: String, termKey: String, courseKey: String }} variables The course that was looked up.
+   * @param {Error} err The error the lookup failed with.
+   * @param {Date} [date=new Date()] When the lookup failed, defaults to now.
+   * @returns {undefined}
+   */
+  recordFailure(variables, err, date = new Date()) {
+    const { institutionKey, termKey, courseKey } = variables;
+    const { failureThreshold } = this.options;
+    const lastError = (err && err.message) || `${err || 'Unknown error'}`;
+
+    // a course backs off after every failure while an institution waits for the threshold
+    [
+      { scope: { institutionKey, termKey, courseKey }, threshold: 1 },
+      { scope: { institutionKey }, threshold: Math.max(failureThreshold, 1) },
+    ].forEach(({ scope, threshold }) => {
+      const status = this.getStatus(scope) || this.create(scope, date);
+      const failures = status.failures + 1;
+      const isOpen = failures >= threshold;
+
+      this.update(
+        status,
+        {
+          failures,
+          lastError,
+          lastFailure: date,
+          state: isOpen ? BREAKER_STATE.OPEN : BREAKER_STATE.CLOSED,
+          retryAt: isOpen
+            ? new Date(date.valueOf() + this.getDelay(failures - threshold + 1) * 1000)
+            : null,
+        },
+        date
+      );
+    });
+  }
+
+  /**
+   * Creates a new closed status for an institution or course.
+   * @private
+   * @param {Object} scope The institution or course to create the status for.
+   * @param {Date} date The current date.
+   * @returns {UpstreamStatus} The new status.
+   */
+  create({ institutionKey, termKey, courseKey }, date) {
+    const status = {
+      institutionKey,
+      termKey: termKey || null,
+      courseKey: courseKey || null,
+      state: BREAKER_STATE.CLOSED,
+      failures: 0,
+      lastError: null,
+      lastFailure: null,
+      lastSuccess: null,
+      retryAt: null,
+      updatedAt: date,
+    };
+
+    this.statuses[toKey(status)] = status;
+    return status;
+  }
+
+  /**
+   * Updates a status and marks it as changed.
+   * @private
+   * @param {UpstreamStatus} status The status to update.
+   * @param {Object} changes The fields to change.
+   * @param {Date} date The current date.
+   * @returns {undefined}
+   */
+  update(status, changes, date) {
+    Object.assign(status, changes, { updatedAt: date });
+    this.changed.add(toKey(status));
+  }
+
+  /**
+   * Picks up statuses that were recorded by any worker (including this one before it restarted), so every worker backs off the same lookups.
+   * A recorded status replaces the one tracked by this breaker unless this breaker has a newer or unrecorded change to it.
+   * @param {Array<UpstreamStatus>} statuses The recorded statuses.
+   * @returns {undefined}
+   */
+  sync(statuses = []) {
+    statuses
+      .filter(status => {
+        const key = toKey(status);
+        const current = this.statuses[key];
+        return (
+          !this.changed.has(key) && (!current || current.updatedAt <= status.updatedAt)
+        );
+      })
+      .forEach(status => {
+        this.statuses[toKey(status)] = { ...status };
+      });
+  }
+
+  /**
+   * Takes every status that changed since the last call, so the changes can be recorded.
+   * @returns {Array<UpstreamStatus>} Copies of the statuses that changed.
+   */
+  takeChanges() {
+    const changes = [...this.changed].map(key => ({ ...this.statuses[key] }));
+    this.changed.clear();
+
+    return changes;
+  }
+
+  /**
+   * Determines whether a status means that lookups are currently failing.
+   * @param {(UpstreamStatus|undefined)} status The status to check.
+   * @returns {Boolean} True when the last lookup failed.
+   */
+  static isFailing(status) {
+    return !!status && status.failures > 0;
+  }
+
+  /**
+   * Finds the recorded status that stops a course from being looked up, without changing any status.
+   * Used by processes that do not track failures themselves (e.g. the API server) so they back off along with the workers.
+   * @param {Array<UpstreamStatus>} statuses The statuses of the course and its institution.
+   * @param {Date} [date=new Date()] The current date, defaults to now.
+   * @returns {(UpstreamStatus|undefined)} The status whose circuit is open (or being tried again), undefined if the lookup may be made.
+   */
+  static findBlocking(statuses = [], date = new Date()) {
+    return statuses.find(status => !isAllowed(status, date));
+  }
+
+  /**
+   * Creates the error a lookup is rejected with while its circuit is open.
+   * @param {UpstreamStatus} status The status whose circuit is open.
+   * @returns {Error} The error, with its code set to CircuitBreaker.CIRCUIT_OPEN and the time lookups will be tried again.
+   */
+  static createOpenError(status) {
+    const err = new Error(
+      `Lookups for ${toKey(status)} keep failing and are paused until ${
+        status.retryAt ? status.retryAt.toISOString() : 'they are tried again'
+      }`
+    );
+    err.code = CIRCUIT_OPEN;
+    err.retryAt = status.retryAt;
+
+    return err;
+  }
+}
+
+CircuitBreaker.BREAKER_STATE = BREAKER_STATE;
+CircuitBreaker.CIRCUIT_OPEN = CIRCUIT_OPEN;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,171 @@
+const CircuitBreaker = require('./breaker');
+
+const { BREAKER_STATE, CIRCUIT_OPEN } = CircuitBreaker;
+
+const options = { failureThreshold: 3, baseDelay: 10, maxDelay: 60 };
+const start = new Date('2022-09-01T12:00:00Z');
+const course = { institutionKey: 'UOG', termKey: 'F22', courseKey: 'CIS*1500' };
+const otherCourse = { institutionKey: 'UOG', termKey: 'F22', courseKey: 'CIS*2500' };
+const error = new Error('Request failed');
+
+/**
+ * Utility to get a date some number of seconds after the start of a test.
+ * @param {Number} seconds The seconds since the start.
+ * @returns {Date} The date.
+ */
+const after = seconds => new Date(start.valueOf() + seconds * 1000);
+
+describe('CircuitBreaker', () => {
+  it('backs off a course after a single failure until its retry time', () => {
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(course, error, start);
+
+    expect(breaker.getStatus(course)).toMatchObject({
+      state: BREAKER_STATE.OPEN,
+      failures: 1,
+      lastError: 'Request failed',
+      retryAt: after(10),
+    });
+    expect(breaker.canRequest(course, after(9))).toBe(false);
+    expect(breaker.canRequest(otherCourse, after(9))).toBe(true);
+  });
+
+  it('only allows a single lookup once a circuit is tried again', () => {
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(course, error, start);
+
+    expect(breaker.canRequest(course, after(10))).toBe(true);
+    expect(breaker.getStatus(course).state).toBe(BREAKER_STATE.HALF_OPEN);
+    expect(breaker.canRequest(course, after(11))).toBe(false);
+  });
+
+  it('doubles the delay after each failure in a row up to the maximum', () => {
+    const breaker = new CircuitBreaker(options);
+    const delays = [0, 10, 30, 70, 150, 230].map(seconds => {
+      breaker.recordFailure(otherCourse, error, after(seconds));
+      return (breaker.getStatus(otherCourse).retryAt - after(seconds)) / 1000;
+    });
+
+    expect(delays).toEqual([10, 20, 40, 60, 60, 60]);
+  });
+
+  it('cuts off the institution once enough lookups in a row fail', () => {
+    const breaker = new CircuitBreaker(options);
+    const institution = { institutionKey: 'UOG' };
+
+    breaker.recordFailure(course, error, start);
+    breaker.recordFailure(otherCourse, error, start);
+    expect(breaker.getStatus(institution).state).toBe(BREAKER_STATE.CLOSED);
+
+    breaker.recordFailure({ ...course, courseKey: 'CIS*3750' }, error, start);
+    expect(breaker.getStatus(institution)).toMatchObject({
+      state: BREAKER_STATE.OPEN,
+      failures: 3,
+      retryAt: after(10),
+    });
+    expect(breaker.canRequest({ ...course, courseKey: 'CIS*4650' }, after(5))).toBe(
+      false
+    );
+  });
+
+  it('closes the circuits of a course and its institution after a success', () => {
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(course, error, start);
+    breaker.recordSuccess(course, after(20));
+
+    [breaker.getStatus(course), breaker.getStatus({ institutionKey: 'UOG' })].forEach(
+      status =>
+        expect(status).toMatchObject({
+          state: BREAKER_STATE.CLOSED,
+          failures: 0,
+          retryAt: null,
+          lastSuccess: after(20),
+        })
+    );
+    expect(breaker.canRequest(course, after(20))).toBe(true);
+  });
+
+  it('takes each changed status only once', () => {
+    const breaker = new CircuitBreaker(options);
+    breaker.recordFailure(course, error, start);
+
+    expect(breaker.takeChanges()).toHaveLength(2);
+    expect(breaker.takeChanges()).toEqual([]);
+  });
+
+  describe('sync', () => {
+    /**
+     * Utility to create a status recorded by another worker.
+     * @param {Object} changes The fields of the status.
+     * @returns {UpstreamStatus} The status.
+     */
+    const createRecorded = changes => ({
+      ...course,
+      state: BREAKER_STATE.OPEN,
+      failures: 4,
+      lastError: 'Recorded failure',
+      lastFailure: start,
+      lastSuccess: null,
+      retryAt: after(60),
+      updatedAt: start,
+      ...changes,
+    });
+
+    it('picks up statuses recorded by other workers', () => {
+      const breaker = new CircuitBreaker(options);
+      breaker.sync([createRecorded()]);
+
+      expect(breaker.getStatus(course).failures).toBe(4);
+      expect(breaker.canRequest(course, after(30))).toBe(false);
+    });
+
+    it('keeps changes that have not been taken yet', () => {
+      const breaker = new CircuitBreaker(options);
+      breaker.recordFailure(course, error, start);
+      breaker.sync([createRecorded({ updatedAt: after(5) })]);
+
+      expect(breaker.getStatus(course).failures).toBe(1);
+    });
+
+    it('only replaces a status with a newer one', () => {
+      const breaker = new CircuitBreaker(options);
+      breaker.recordFailure(course, error, after(10));
+      breaker.takeChanges();
+
+      breaker.sync([createRecorded({ updatedAt: after(5) })]);
+      expect(breaker.getStatus(course).failures).toBe(1);
+
+      breaker.sync([createRecorded({ updatedAt: after(15) })]);
+      expect(breaker.getStatus(course).failures).toBe(4);
+    });
+  });
+
+  describe('findBlocking', () => {
+    it('finds the status of an open circuit without changing it', () => {
+      const open = {
+        ...course,
+        state: BREAKER_STATE.OPEN,
+        retryAt: after(10),
+      };
+      const closed = { institutionKey: 'UOG', state: BREAKER_STATE.CLOSED };
+
+      expect(CircuitBreaker.findBlocking([closed, open], after(5))).toBe(open);
+      expect(CircuitBreaker.findBlocking([closed, open], after(10))).toBeUndefined();
+      expect(open.state).toBe(BREAKER_STATE.OPEN);
+      expect(
+        CircuitBreaker.findBlocking(
+          [{ ...open, state: BREAKER_STATE.HALF_OPEN }],
+          after(20)
+        )
+      ).toBeDefined();
+    });
+
+    it('creates an error with the time lookups will be tried again', () => {
+      const err = CircuitBreaker.createOpenError({ ...course, retryAt: after(10) });
+
+      expect(err.code).toBe(CIRCUIT_OPEN);
+      expect(err.retryAt).toEqual(after(10));
+      expect(err.message).toContain('UOG/F22/CIS*1500');
+    });
+  });
+});
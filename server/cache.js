@@ -0,0 +1,165 @@
+/**
+ * A single value stored within a cache.
+ * @typedef {Object} CacheEntry
+ * @property {*} value The value that was stored.
+ * @property {Number} expiresAt When the value expires, in milliseconds since the epoch.
+ */
+
+/**
+ * Counters showing how a cache has been used since it was created (or its stats were reset).
+ * @typedef {Object} CacheStats
+ * @property {Number} hits The number of values answered from the cache.
+ * @property {Number} misses The number of values that had to be loaded.
+ * @property {Number} coalesced The number of values that shared a load already in progress instead of loading again.
+ * @property {Number} size The number of values currently stored, including any that have expired but not been removed yet.
+ */
+
+/**
+ * A simple in-memory cache where every value expires after a fixed time-to-live.
+ * Expired values are removed lazily whenever the cache is used.
+ * Values loaded through wrap(...) are also de-duplicated while loading, so identical loads that overlap only load once.
+ * @class
+ */
+class Cache {
+  /**
+   * The time, in seconds, that values are kept for.
+   * @type {Number}
+   */
+  ttl = 0;
+
+  /**
+   * The values stored within the cache by their key.
+   * @type {Map<String, CacheEntry>}
+   */
+  entries = new Map();
+
+  /**
+   * The loads currently in progress by the key of the value being loaded.
+   * @type {Map<String, Promise<*>>}
+   */
+  pending = new Map();
+
+  /**
+   * Counters showing how much loading the cache has saved.
+   * @type {{ hits: Number, misses: Number, coalesced: Number }}
+   */
+  counters = { hits: 0, misses: 0, coalesced: 0 };
+
+  /**
+   * Creates a new, empty cache.
+   * @param {Number} ttl The time, in seconds, that values are kept for. Use 0 to only de-duplicate loads that overlap.
+   */
+  constructor(ttl) {
+    this.ttl = ttl;
+  }
+
+  /**
+   * Gets a value from the cache.
+   * @param {String} key The key of the value to get.
+   * @returns {*} The value or undefined if no value exists or it has expired.
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Stores a value in the cache, replacing any existing value.
+   * @param {String} key The key to store the value under.
+   * @param {*} value The value to store, undefined values are never stored.
+   * @param {Number} [ttl=this.ttl] The time, in seconds, to keep this value for.
+   * @returns {*} The value that was stored.
+   */
+  set(key, value, ttl = this.ttl) {
+    this.prune();
+    if (value !== undefined && ttl > 0) {
+      this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    }
+
+    return value;
+  }
+
+  /**
+   * Removes a value from the cache.
+   * @param {String} key The key of the value to remove.
+   * @returns {undefined}
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Removes every value from the cache.
+   * @returns {undefined}
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Removes every expired value from the cache.
+   * @returns {undefined}
+   */
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Gets a value from the cache or loads (and stores) it when no value exists.
+   * When a load for the same key is already in progress, its result is shared instead of loading again.
+   * Values are not stored when the loader rejects.
+   * @param {String} key The key of the value to get.
+   * @param {() => Promise<*>} loader Function used to load the value when it is not cached.
+   * @param {(Number|function(*): Number)} [ttl=this.ttl] The time, in seconds, to keep the loaded value for, or a function that computes it from the value (e.g. for values that were already partly expired when loaded).
+   * @returns {Promise<*>} Resolves with the cached or loaded value.
+   */
+  async wrap(key, loader, ttl = this.ttl) {
+    const value = this.get(key);
+    if (value !== undefined) {
+      this.counters.hits += 1;
+      return value;
+    } else if (this.pending.has(key)) {
+      this.counters.coalesced += 1;
+      return this.pending.get(key);
+    }
+
+    this.counters.misses += 1;
+    const load = Promise.resolve()
+      .then(loader)
+      .then(loaded =>
+        this.set(key, loaded, typeof ttl === 'function' ? ttl(loaded) : ttl)
+      )
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, load);
+
+    return load;
+  }
+
+  /**
+   * Gets the counters showing how the cache has been used.
+   * @returns {CacheStats} A copy of the counters along with the current size of the cache.
+   */
+  get stats() {
+    return { ...this.counters, size: this.entries.size };
+  }
+
+  /**
+   * Resets the hit, miss, and coalesced counters back to zero.
+   * @returns {undefined}
+   */
+  resetStats() {
+    this.counters = { hits: 0, misses: 0, coalesced: 0 };
+  }
+}
+
+module.exports = Cache;
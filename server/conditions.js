@@ -0,0 +1,154 @@
+/**
+ * The slot counts used when evaluating whether the condition of a notification has been met.
+ * @typedef {Object} SlotCounts
+ * @property {(Number|null|undefined)} availableSlots The number of available slots.
+ * @property {(Number|null|undefined)} totalSlots The total number of slots.
+ */
+
+/**
+ * The slot counts seen for a notification during a single run.
+ * @typedef {Object} SlotEvent
+ * @property {Number} availableSlots The most available slots in any single matching section.
+ * @property {Number} totalSlots The total slots of the section with the most available slots.
+ * @property {SlotCounts} combined The slot counts summed over all matching sections, these are the counts recorded for each run.
+ * @property {Array<String>} sections The IDs of every matching section (or meeting).
+ * @property {Array<String>} openSections The IDs of the matching sections (or meetings) with available slots.
+ */
+
+/**
+ * Defines the different conditions that a notification may be triggered by.
+ * @readonly
+ * @enum
+ * @type {Object}
+ */
+const CONDITION_TYPE = Object.freeze({
+  /** At least `conditionValue` slots are available. */
+  AVAILABLE: 'available',
+  /** The capacity increased by at least `conditionValue` slots since the last run. */
+  CAPACITY_INCREASE: 'capacityIncrease',
+  /** The available slots dropped back to zero since the last run. */
+  CLOSED: 'closed',
+  /** The available slots increased by at least `conditionValue` since the last run. */
+  AVAILABLE_INCREASE: 'availableIncrease',
+});
+
+/**
+ * Utility to check that some slot count is known.
+ * @param {*} value The value to check.
+ * @returns {Boolean} True when the value is a number.
+ */
+const isKnown = value => typeof value === 'number' && !isNaN(value);
+
+const conditions = (module.exports = {
+  CONDITION_TYPE,
+
+  /**
+   * The condition used by notifications that do not specify one.
+   * @readonly
+   * @type {{ conditionType: String, conditionValue: Number }}
+   */
+  DEFAULT_CONDITION: Object.freeze({
+    conditionType: CONDITION_TYPE.AVAILABLE,
+    conditionValue: 1,
+  }),
+
+  /**
+   * Checks whether a condition only triggers on a change between two runs (rather than a state that may last for many runs).
+   * Notifications with change conditions send a message every time the change occurs.
+   * @param {String} conditionType One of the values from CONDITION_TYPE.
+   * @returns {Boolean} True when the condition is based upon a change between runs.
+   */
+  isChange: conditionType =>
+    conditionType === CONDITION_TYPE.CAPACITY_INCREASE ||
+    conditionType === CONDITION_TYPE.CLOSED ||
+    conditionType === CONDITION_TYPE.AVAILABLE_INCREASE,
+
+  /**
+   * Determines whether the condition of a notification has been met.
+   * The available condition is checked against a single section, so a group can register in the same section together.
+   * Conditions based upon a change compare the combined counts and are never met when the previous counts are unknown (e.g. on the first run).
+   * @param {{ conditionType: String, conditionValue: Number }} condition The condition to check, usually the notification itself.
+   * @param {SlotEvent} event The slot counts from the current run.
+   * @param {SlotCounts} [previous={}] The combined slot counts from the previous run, if any.
+   * @returns {Boolean} True when the condition has been met.
+   */
+  isMet: ({ conditionType, conditionValue }, event, previous = {}) => {
+    const current = event.combined || event;
+    const value = isKnown(conditionValue)
+      ? conditionValue
+      : conditions.DEFAULT_CONDITION.conditionValue;
+
+    switch (conditionType || conditions.DEFAULT_CONDITION.conditionType) {
+      case CONDITION_TYPE.AVAILABLE:
+        return event.availableSlots >= Math.max(value, 1);
+      case CONDITION_TYPE.CAPACITY_INCREASE:
+        return (
+          isKnown(previous.totalSlots) &&
+          current.totalSlots - previous.totalSlots >= Math.max(value, 1)
+        );
+      case CONDITION_TYPE.CLOSED:
+        return (
+          isKnown(previous.availableSlots) &&
+          previous.availableSlots > 0 &&
+          current.availableSlots <= 0
+        );
+      case CONDITION_TYPE.AVAILABLE_INCREASE:
+        return (
+          isKnown(previous.availableSlots) &&
+          current.availableSlots - previous.availableSlots >= Math.max(value, 1)
+        );
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Creates a human readable description of a condition, used when formatting messages.
+   * @param {{ conditionType: String, conditionValue: Number }} condition The condition to describe, usually the notification itself.
+   * @returns {String} The description of the condition (e.g. "at least 3 open slots").
+   */
+  describe: ({ conditionType, conditionValue }) => {
+    const value = isKnown(conditionValue)
+      ? Math.max(conditionValue, 1)
+      : conditions.DEFAULT_CONDITION.conditionValue;
+    const slots = value === 1 ? 'slot' : 'slots';
+
+    switch (conditionType || conditions.DEFAULT_CONDITION.conditionType) {
+      case CONDITION_TYPE.AVAILABLE:
+        return `at least ${value} open ${slots}`;
+      case CONDITION_TYPE.CAPACITY_INCREASE:
+        return `a capacity increase of ${value} or more ${slots}`;
+      case CONDITION_TYPE.CLOSED:
+        return 'no open slots left';
+      case CONDITION_TYPE.AVAILABLE_INCREASE:
+        return `${value} or more newly opened ${slots}`;
+      default:
+        return 'an unknown condition';
+    }
+  },
+
+  /**
+   * Validates a condition that was supplied by a user.
+   * Either value may be undefined, in which case it is not checked.
+   * @param {(String|undefined)} conditionType The condition type to validate.
+   * @param {(Number|undefined)} conditionValue The condition value to validate.
+   * @returns {(String|undefined)} A message describing the problem or undefined if the condition is valid.
+   */
+  validate: (conditionType, conditionValue) => {
+    if (
+      conditionType !== undefined &&
+      !Object.values(CONDITION_TYPE).includes(conditionType)
+    ) {
+      return `The condition type must be one of: ${Object.values(CONDITION_TYPE).join(
+        ', '
+      )}`;
+    } else if (
+      conditionValue !== undefined &&
+      (!Number.isInteger(conditionValue) || conditionValue < 1)
+    ) {
+      return 'The condition value must be a positive integer';
+    }
+
+    return undefined;
+  },
+});
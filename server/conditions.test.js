@@ -0,0 +1,155 @@
+const conditions = require('./conditions');
+
+const { CONDITION_TYPE } = conditions;
+
+/**
+ * Utility to create the slot counts seen during a run.
+ * @param {Number} availableSlots The most available slots in a single section.
+ * @param {Object} [combined] The slot counts summed over all matching sections, defaults to the single section.
+ * @returns {SlotEvent} The event of the run.
+ */
+const createEvent = (availableSlots, combined = { availableSlots, totalSlots: 10 }) => ({
+  availableSlots,
+  totalSlots: 10,
+  combined,
+  sections: ['0101'],
+  openSections: availableSlots > 0 ? ['0101'] : [],
+});
+
+describe('conditions.isMet', () => {
+  it('checks the available condition against a single section', () => {
+    const condition = { conditionType: CONDITION_TYPE.AVAILABLE, conditionValue: 3 };
+
+    expect(conditions.isMet(condition, createEvent(3))).toBe(true);
+    expect(conditions.isMet(condition, createEvent(2))).toBe(false);
+    expect(
+      conditions.isMet(condition, createEvent(2, { availableSlots: 4, totalSlots: 20 }))
+    ).toBe(false);
+  });
+
+  it('uses the default condition when none is given or the value is not a number', () => {
+    expect(conditions.isMet({}, createEvent(1))).toBe(true);
+    expect(conditions.isMet({}, createEvent(0))).toBe(false);
+    expect(
+      conditions.isMet(
+        { conditionType: CONDITION_TYPE.AVAILABLE, conditionValue: NaN },
+        createEvent(1)
+      )
+    ).toBe(true);
+  });
+
+  it('never treats a value below 1 as met by zero open slots', () => {
+    const condition = { conditionType: CONDITION_TYPE.AVAILABLE, conditionValue: 0 };
+
+    expect(conditions.isMet(condition, createEvent(0))).toBe(false);
+    expect(conditions.isMet(condition, createEvent(1))).toBe(true);
+  });
+
+  it('never meets a change condition without the counts of a previous run', () => {
+    const event = createEvent(5, { availableSlots: 5, totalSlots: 20 });
+
+    Object.values(CONDITION_TYPE)
+      .filter(conditions.isChange)
+      .forEach(conditionType => {
+        expect(conditions.isMet({ conditionType, conditionValue: 1 }, event)).toBe(false);
+        expect(
+          conditions.isMet({ conditionType, conditionValue: 1 }, event, {
+            availableSlots: null,
+            totalSlots: null,
+          })
+        ).toBe(false);
+      });
+  });
+
+  it('compares the combined counts for an increase in capacity or open slots', () => {
+    const event = createEvent(2, { availableSlots: 4, totalSlots: 20 });
+    const previous = { availableSlots: 1, totalSlots: 17 };
+
+    expect(
+      conditions.isMet(
+        { conditionType: CONDITION_TYPE.CAPACITY_INCREASE, conditionValue: 3 },
+        event,
+        previous
+      )
+    ).toBe(true);
+    expect(
+      conditions.isMet(
+        { conditionType: CONDITION_TYPE.CAPACITY_INCREASE, conditionValue: 4 },
+        event,
+        previous
+      )
+    ).toBe(false);
+    expect(
+      conditions.isMet(
+        { conditionType: CONDITION_TYPE.AVAILABLE_INCREASE, conditionValue: 3 },
+        event,
+        previous
+      )
+    ).toBe(true);
+    expect(
+      conditions.isMet(
+        { conditionType: CONDITION_TYPE.AVAILABLE_INCREASE, conditionValue: 3 },
+        event,
+        { availableSlots: 4, totalSlots: 20 }
+      )
+    ).toBe(false);
+  });
+
+  it('only meets the closed condition when open slots drop back to zero', () => {
+    const condition = { conditionType: CONDITION_TYPE.CLOSED };
+
+    expect(conditions.isMet(condition, createEvent(0), { availableSlots: 2 })).toBe(true);
+    expect(conditions.isMet(condition, createEvent(0), { availableSlots: 0 })).toBe(
+      false
+    );
+    expect(conditions.isMet(condition, createEvent(1), { availableSlots: 2 })).toBe(
+      false
+    );
+  });
+
+  it('never meets an unknown condition', () => {
+    expect(conditions.isMet({ conditionType: 'unknown' }, createEvent(5))).toBe(false);
+  });
+});
+
+describe('conditions.describe', () => {
+  it('describes each condition with the correct plural', () => {
+    expect(conditions.describe({ conditionType: CONDITION_TYPE.AVAILABLE })).toBe(
+      'at least 1 open slot'
+    );
+    expect(
+      conditions.describe({ conditionType: CONDITION_TYPE.AVAILABLE, conditionValue: 3 })
+    ).toBe('at least 3 open slots');
+    expect(
+      conditions.describe({
+        conditionType: CONDITION_TYPE.CAPACITY_INCREASE,
+        conditionValue: 2,
+      })
+    ).toBe('a capacity increase of 2 or more slots');
+    expect(conditions.describe({ conditionType: CONDITION_TYPE.CLOSED })).toBe(
+      'no open slots left'
+    );
+    expect(
+      conditions.describe({
+        conditionType: CONDITION_TYPE.AVAILABLE_INCREASE,
+        conditionValue: 0,
+      })
+    ).toBe('1 or more newly opened slot');
+  });
+});
+
+describe('conditions.validate', () => {
+  it('accepts a known type with a positive integer value', () => {
+    expect(conditions.validate(CONDITION_TYPE.AVAILABLE, 2)).toBeUndefined();
+    expect(conditions.validate(undefined, undefined)).toBeUndefined();
+  });
+
+  it('rejects unknown types and values that are not positive integers', () => {
+    expect(conditions.validate('sometimes', 1)).toMatch(/condition type/);
+    [0, -1, 1.5, '2', null].forEach(value =>
+      expect(conditions.validate(CONDITION_TYPE.AVAILABLE, value)).toMatch(
+        /positive integer/
+      )
+    );
+  });
+});
@@ -0,0 +1,290 @@
+const _ = require('lodash');
+const config = require('../config');
+const providers = require('./providers');
+const Cache = require('./cache');
+const limiter = require('./limiter');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const db = require('./db');
+const utils = require('./utils');
+const CircuitBreaker = require('./breaker');
+
+/**
+ * The result of checking the course and section keys of a notification against the course data.
+ * @typedef {Object} CourseProblem
+ * @property {String} message A message describing why the keys are not valid.
+ * @property {Array<String>} validSections The section (and meeting) keys that may be used with the course.
+ */
+
+/**
+ * Utility to clean keys so they can be compared, this matches how the worker compares keys.
+ * @param {String} key The key to clean.
+ * @returns {String} The cleaned key.
+ */
+const cleanKey = key => `${key}`.toLowerCase().trim();
+
+/**
+ * The result of looking up a course, along with the snapshot that shares it with other processes.
+ * @typedef {Object} CourseLookup
+ * @property {CourseData} data The data of the course.
+ * @property {(Number|undefined)} snapshotId The ID of the course snapshot holding the data, undefined if it could not be stored.
+ * @property {Number} seenAt When the data was retrieved from the data source, in milliseconds since the epoch.
+ */
+
+/**
+ * The cache of recent course lookups within this process, used by the worker and every route that needs course data.
+ * Values are only kept until their data is as old as slot data may be, so the worker never sees data older than it would otherwise accept.
+ * @type {Cache}
+ */
+const courseCache = new Cache(config.slotDataTtl);
+
+/**
+ * The number of lookups in this process that were answered by a snapshot stored by an earlier lookup, usually made by another process.
+ * @type {Number}
+ */
+let sharedHits = 0;
+
+/**
+ * Utility to find a recent lookup of a course stored by any process (e.g. the API server or another worker).
+ * Errors are logged and treated as if no lookup was found, since the data source can still be queried.
+ * @param {Object} variables The keys identifying the course.
+ * @returns {Promise<(CourseLookup|undefined)>} Resolves with the stored lookup or undefined if there is none within config.slotDataTtl.
+ */
+const findSharedLookup = async variables => {
+  try {
+    const snapshot = await db.getLatestSnapshot(
+      variables,
+      new Date(Date.now() - config.slotDataTtl * 1000)
+    );
+
+    return (
+      snapshot && {
+        data: JSON.parse(snapshot.data),
+        snapshotId: snapshot.id,
+        seenAt: snapshot.lastSeen.valueOf(),
+      }
+    );
+  } catch (err) {
+    logger.warn('Unable to check for a recent lookup of the course', {
+      ...variables,
+      error: err,
+    });
+    return undefined;
+  }
+};
+
+/**
+ * Utility to ensure the data source may be queried for a course, based upon the circuit breaker statuses recorded by the workers.
+ * Errors reading the statuses are logged and the query is allowed, since the data source may still be working.
+ * @throws {Error} If the circuit of the course or its institution is open, the code of the error is CircuitBreaker.CIRCUIT_OPEN.
+ * @param {Object} variables The keys identifying the course.
+ * @returns {Promise<undefined>} Resolves once the query may be made.
+ */
+const checkCircuit = async variables => {
+  const statuses = await db.getUpstreamStatuses(variables).catch(err => {
+    logger.warn('Unable to check the status of lookups for the course', {
+      ...variables,
+      error: err,
+    });
+    return [];
+  });
+
+  const blocking = CircuitBreaker.findBlocking(statuses);
+  if (blocking) {
+    throw CircuitBreaker.createOpenError(blocking);
+  }
+};
+
+/**
+ * Utility to store a lookup of a course as a snapshot so other processes can use it.
+ * Errors are logged and the lookup is returned without a snapshot, in which case the worker stores the data with each run instead.
+ * @param {Object} variables The keys identifying the course.
+ * @param {CourseData} data The data returned by the data source.
+ * @returns {Promise<CourseLookup>} Resolves with the lookup.
+ */
+const storeSharedLookup = async (variables, data) => {
+  const seenAt = Date.now();
+  if (!data) {
+    return { data, seenAt };
+  }
+
+  try {
+    const snapshot = await db.createSnapshot({
+      ...variables,
+      data: JSON.stringify(data),
+      timestamp: new Date(seenAt),
+    });
+    return { data, snapshotId: snapshot.id, seenAt };
+  } catch (err) {
+    logger.error('Encountered error while storing a course snapshot', err);
+    return { data, seenAt };
+  }
+};
+
+const courses = (module.exports = {
+  /**
+   * Looks up the current data of a course along with the snapshot it is stored in.
+   * Lookups are answered from a short-lived cache in this process or, failing that, from a snapshot stored by any process within config.slotDataTtl.
+   * Only when neither has the course is the data source queried, after which the data is stored as a snapshot for every process to use.
+   * Unless told otherwise, the data source is not queried while the circuit breaker of the course or its institution is open (see CircuitBreaker), in which case the lookup rejects with an error whose code is CircuitBreaker.CIRCUIT_OPEN.
+   * Identical lookups that overlap share a single request to the data source. Failed lookups are never cached.
+   * Requests to the data source are limited per institution (see config.upstreamLimits) and wait their turn in order of priority.
+   * Each request fails once it takes longer than config.upstreamTimeout.
+   * Note: The cache is shared between registries, since it is keyed by the course alone.
+   * @param {Object} variables The keys identifying the course to lookup.
+   * @param {String} variables.institutionKey The key of the institution the course is at.
+   * @param {String} variables.termKey The term the course occurs in.
+   * @param {String} variables.courseKey The course code of the course.
+   * @param {Object} [options={}] Options for the lookup.
+   * @param {ProviderRegistry} [options.registry=providers] The provider registry to use for the course lookup, defaults to the shared registry.
+   * @param {Number} [options.priority=0] The priority of the request if one is needed, lower values go first. The worker uses the time of the last check, so lookups for users go before courses the worker has checked before.
+   * @param {Boolean} [options.isCircuitChecked=true] Whether to check the circuit breaker statuses recorded in the database before querying the data source. The worker checks its own breaker instead, which is synced with the same statuses.
+   * @param {Function} [options.onRequest] Called when this lookup queries the data source, which is never the case for lookups answered by the cache, a snapshot, or an overlapping lookup.
+   * @returns {Promise<CourseLookup>} Resolves with the lookup or rejects with any lookup errors.
+   */
+  lookupSnapshot: async (
+    { institutionKey, termKey, courseKey },
+    {
+      registry = providers,
+      priority = 0,
+      isCircuitChecked = true,
+      onRequest = () => {},
+    } = {}
+  ) => {
+    const variables = { institutionKey, termKey, courseKey };
+    return courseCache.wrap(
+      `${institutionKey}/${termKey}/${courseKey}`,
+      async () => {
+        const shared = await findSharedLookup(variables);
+        if (shared) {
+          sharedHits += 1;
+          return shared;
+        }
+
+        if (isCircuitChecked) {
+          await checkCircuit(variables);
+        }
+        const data = await limiter.get(institutionKey).schedule(() => {
+          onRequest();
+          return metrics.timeLookup(institutionKey, () =>
+            utils.withTimeout(
+              registry.get(institutionKey).getCourse(variables),
+              config.upstreamTimeout * 1000,
+              `Timed out looking up the course after ${config.upstreamTimeout} seconds`
+            )
+          );
+        }, priority);
+        return storeSharedLookup(variables, data);
+      },
+      // only keep the lookup for the rest of its time-to-live, since a shared lookup may already be partly expired
+      ({ seenAt }) => config.slotDataTtl - (Date.now() - seenAt) / 1000
+    );
+  },
+
+  /**
+   * Looks up the current data of a course, see courses.lookupSnapshot(...) for how lookups are cached and shared.
+   * @param {Object} variables The keys identifying the course to lookup.
+   * @param {String} variables.institutionKey The key of the institution the course is at.
+   * @param {String} variables.termKey The term the course occurs in.
+   * @param {String} variables.courseKey The course code of the course.
+   * @param {ProviderRegistry} [registry=providers] The provider registry to use for the course lookup, defaults to the shared registry.
+   * @param {Number} [priority=0] The priority of the request if one is needed, lower values go first.
+   * @returns {Promise<CourseData>} Resolves with the course data or rejects with any lookup errors.
+   */
+  lookup: async (variables, registry = providers, priority = 0) =>
+    (await courses.lookupSnapshot(variables, { registry, priority })).data,
+
+  /**
+   * Gets the counters showing how much load the course cache has saved in this process.
+   * Misses are lookups that were not cached in this process, of which the shared hits were answered by a snapshot instead of the data source.
+   * @returns {CacheStats} The hit, miss, and coalesced counters of the course cache along with the shared hits.
+   */
+  getCacheStats: () => ({ ...courseCache.stats, sharedHits }),
+
+  /**
+   * Finds every key that a notification may use to refer to part of a course.
+   * Keys may refer to a section or to a single meeting of a section (e.g. the CRN of a WLU meeting).
+   * @param {CourseData} data The course data to find the keys within.
+   * @returns {Array<String>} The unique section keys followed by the unique meeting keys.
+   */
+  getSectionKeys: data => {
+    const sections = (data && data.course && data.course.sections) || [];
+    const sectionKeys = sections.map(({ id }) => id);
+    const meetingKeys = sections
+      .flatMap(({ meetings }) => meetings || [])
+      // meetings named after their type (e.g. LEC) are not unique and cannot be watched on their own
+      .filter(({ id, name, type }) => (id || name) !== type)
+      .map(({ id, name }) => id || name);
+
+    return _.uniq([...sectionKeys, ...meetingKeys].filter(key => key && `${key}`.trim()));
+  },
+
+  /**
+   * Looks up the course of a notification and checks that the course exists and that every section it refers to is part of the course.
+   * Errors while looking up the course are logged and ignored, since the course may be valid once the data source is available again.
+   * @param {Object} notification The notification (or the notification combined with its changes) to check.
+   * @param {String} notification.institutionKey The institution of the course.
+   * @param {String} notification.termKey The term of the course.
+   * @param {String} notification.courseKey The course code of the course.
+   * @param {(String|null)} [notification.sectionKey] The section being watched.
+   * @param {(Array<String>|null)} [notification.includeSections] The sections being watched.
+   * @param {(Array<String>|null)} [notification.excludeSections] The sections that are never watched.
+   * @param {ProviderRegistry} [registry=providers] The provider registry to use for the course lookup, defaults to the shared registry.
+   * @returns {Promise<(CourseProblem|undefined)>} Resolves with the problem found or undefined if the keys are valid (or could not be checked).
+   */
+  validate: async (
+    { institutionKey, termKey, courseKey, sectionKey, includeSections, excludeSections },
+    registry = providers
+  ) => {
+    const data = await courses
+      .lookup({ institutionKey, termKey, courseKey }, registry)
+      .catch(err => {
+        logger.warn(
+          `Unable to check course ${institutionKey} - ${courseKey} - ${termKey}, skipping validation.`,
+          err
+        );
+        return undefined;
+      });
+
+    if (!data) {
+      return undefined;
+    } else if (!data.course || !data.course.sections) {
+      return {
+        message: `The course ${courseKey} does not exist at ${institutionKey} during ${termKey}`,
+        validSections: [],
+      };
+    }
+
+    // every section referred to must exist, although excluding a section that does not exist does no harm
+    const validSections = courses.getSectionKeys(data);
+    const validKeys = validSections.map(cleanKey);
+    const unknownSections = [sectionKey, ...(includeSections || [])]
+      .filter(key => key && `${key}`.trim())
+      .filter(key => !validKeys.includes(cleanKey(key)));
+
+    if (unknownSections.length > 0) {
+      return {
+        message: `The following sections do not exist in ${courseKey}: ${unknownSections.join(
+          ', '
+        )}`,
+        validSections,
+      };
+    }
+
+    // sanity check that the exclusions do not remove every section
+    const excluded = (excludeSections || []).map(cleanKey);
+    if (
+      excluded.length > 0 &&
+      !sectionKey &&
+      !(includeSections && includeSections.length) &&
+      data.course.sections.every(({ id }) => excluded.includes(cleanKey(id)))
+    ) {
+      return {
+        message: `Every section of ${courseKey} is excluded so the notification could never be sent`,
+        validSections,
+      };
+    }
+
+    return undefined;
+  },
+});
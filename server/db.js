@@ -1,7 +1,11 @@
 const _ = require('lodash');
+const crypto = require('crypto');
 const { Pool } = require('pg');
 const config = require('../config');
 const utils = require('./utils');
+const logger = require('./logger');
+const { DEFAULT_CONDITION } = require('./conditions');
+const { MEETING_MATCH } = require('./matching');
 
 /**
  * Notification entry that maps to the structure of notifications in the database.
@@ -16,6 +20,21 @@ const utils = require('./utils');
  * @property {String} contact The contact method used to send the notification.
  * @property {Boolean} enabled Whether this notification is currently enabled.
  * @property {Boolean} verified Whether this notification has been verified to be ran with the specified contact method.
+ * @property {String} conditionType The condition that triggers this notification, one of the values from conditions.CONDITION_TYPE.
+ * @property {Number} conditionValue The number of slots used by the condition (e.g. the minimum available slots or the minimum increase).
+ * @property {(Array<String>|undefined)} includeSections Additional sections (or meetings) to watch along with the section key, if any are set, only these sections are watched.
+ * @property {(Array<String>|undefined)} excludeSections Sections (or meetings) that are never watched, even when watching the whole course.
+ * @property {(Array<String>|undefined)} meetingTypes The meeting types (e.g. LEC, LAB, SEM) this notification watches within each section, if undefined, the section's own slots are used.
+ * @property {String} meetingMatch How the meeting types are matched within a section, one of the values from matching.MEETING_MATCH.
+ * @property {(String|undefined)} quietStart The local time of day ("HH:MM") that the quiet hours of this notification start at, if any.
+ * @property {(String|undefined)} quietEnd The local time of day ("HH:MM") that the quiet hours of this notification end at, if any.
+ * @property {(String|undefined)} timezone The IANA timezone of the quiet hours, if undefined, config.defaultTimezone is used.
+ * @property {Boolean} wakeUp Whether notifications are sent anyway during the quiet hours rather than being deferred until they end.
+ * @property {Number} reminderInterval The time, in seconds, between each reminder while the condition of this notification stays met.
+ * @property {Number} reminderLimit The maximum number of reminders to send while the condition stays met, 0 disables reminders.
+ * @property {(Date|undefined)} expiresAt When this notification expires and will be disabled, if undefined, the notification never expires.
+ * @property {(String|undefined)} leaseOwner The identifier of the worker that currently holds a lease on this notification, if any.
+ * @property {(Date|undefined)} leaseExpires When the current lease on this notification expires and it may be claimed by another worker.
  */
 
 /**
@@ -25,10 +44,19 @@ const utils = require('./utils');
  * @property {Number} id The internal identifier of this run.
  * @property {Number} notificationId The internal identifier of the notification that triggered this run.
  * @property {(String|undefined)} error If any error occurred during this run, this field is populated with it.
- * @property {(String|undefined)} sourceData Optional string containing the data used to trigger this run.
+ * @property {(String|undefined)} sourceData Optional string containing the data used to trigger this run, resolved from the snapshot when one is referenced.
+ * @property {(Number|undefined)} snapshotId The ID of the course snapshot containing the data used to trigger this run, if any.
  * @property {Date} timestamp When the run was executed.
  * @property {Boolean} notificationSent Whether a notification was sent as a result of this run or previous runs with the same slots.
  *                                      This should be set to false when the course is closed up again.
+ * @property {(Number|undefined)} availableSlots The number of available slots matching the notification seen during this run.
+ * @property {(Number|undefined)} totalSlots The total number of slots matching the notification seen during this run.
+ * @property {Number} reminderCount The number of reminders sent since the notification was first sent for these slots.
+ * @property {(Date|undefined)} sentAt When the last message (the notification or a reminder) was sent for these slots.
+ * @property {Number} metCount The number of consecutive runs, up to and including this run, that met the condition of the notification.
+ * @property {(Date|undefined)} metSince When the condition was first met in the current streak of runs.
+ * @property {Boolean} suppressed Whether an alert was held back by this run because the condition has not been met for long enough (a possible flap).
+ * @property {Boolean} deferred Whether a notification was held back by this run because it fell inside the quiet hours of the notification.
  */
 
 /**
@@ -42,6 +70,35 @@ const utils = require('./utils');
  * @mixes NotificationRun
  */
 
+/**
+ * A snapshot of the data for a single course, shared by all runs that saw the same data.
+ * @typedef {Object} CourseSnapshot
+ * @property {Number} id The internal identifier of this snapshot.
+ * @property {String} institutionKey The institution of the course.
+ * @property {String} courseKey The course code of the course.
+ * @property {String} termKey The term of the course.
+ * @property {Date} timestamp When this data was first seen for the course.
+ * @property {Date} lastSeen When this data was last seen for the course.
+ * @property {String} contentHash The SHA-256 hash of the data, used to share snapshots with the same data.
+ * @property {String} data The data of the course as a JSON string.
+ */
+
+/**
+ * A record of a single cycle (slot check) performed by a worker.
+ * @typedef {Object} WorkerCycle
+ * @property {Number} id The internal identifier of this cycle.
+ * @property {String} workerId The identifier of the worker that performed the cycle.
+ * @property {Date} startedAt When the cycle started.
+ * @property {Date} finishedAt When the cycle finished.
+ * @property {Number} duration How long, in milliseconds, the cycle took.
+ * @property {Boolean} succeeded Whether the cycle finished without an error.
+ * @property {Number} notifications The number of notifications checked.
+ * @property {Number} lookups The number of requests made to the data source, lookups answered by the course cache or a shared snapshot are not counted.
+ * @property {Number} errors The number of errors encountered while checking courses and notifications.
+ * @property {Number} sent The number of messages sent.
+ * @property {(String|null)} error The error that stopped the cycle, null if it succeeded.
+ */
+
 /**
  * Utility function to convert a notification entry object from the database to a data object.
  * @param {Object} [data={}] The result of a query on the notifications table of the database.
@@ -60,6 +117,31 @@ const toNotification = (data = {}, overrides = {}) => ({
   contact: data.contact,
   enabled: !!data.enabled,
   verified: !!data.verified,
+  conditionType: data.condition_type || DEFAULT_CONDITION.conditionType,
+  conditionValue:
+    data.condition_value != null
+      ? data.condition_value
+      : DEFAULT_CONDITION.conditionValue,
+  includeSections:
+    data.include_sections && data.include_sections.length
+      ? data.include_sections
+      : undefined,
+  excludeSections:
+    data.exclude_sections && data.exclude_sections.length
+      ? data.exclude_sections
+      : undefined,
+  meetingTypes:
+    data.meeting_types && data.meeting_types.length ? data.meeting_types : undefined,
+  meetingMatch: data.meeting_match || MEETING_MATCH.ANY,
+  quietStart: data.quiet_start || undefined,
+  quietEnd: data.quiet_end || undefined,
+  timezone: data.timezone || undefined,
+  wakeUp: !!data.wake_up,
+  reminderInterval: data.reminder_interval || 0,
+  reminderLimit: data.reminder_limit || 0,
+  expiresAt: data.expires_at ? new Date(data.expires_at * 1000) : undefined,
+  leaseOwner: data.lease_owner || undefined,
+  leaseExpires: data.lease_expires ? new Date(data.lease_expires * 1000) : undefined,
   ...overrides,
 });
 
@@ -75,11 +157,92 @@ const toRun = (data = {}, overrides = {}) => ({
   notificationId: data.notification_id || undefined,
   error: data.error,
   sourceData: data.source_data,
+  snapshotId: data.snapshot_id || undefined,
   timestamp: data.timestamp ? new Date(data.timestamp * 1000) : undefined,
   notificationSent: !!data.notification_sent,
+  availableSlots: data.available_slots != null ? data.available_slots : undefined,
+  totalSlots: data.total_slots != null ? data.total_slots : undefined,
+  reminderCount: data.reminder_count || 0,
+  sentAt: data.sent_at ? new Date(data.sent_at * 1000) : undefined,
+  metCount: data.met_count || 0,
+  metSince: data.met_since ? new Date(data.met_since * 1000) : undefined,
+  suppressed: !!data.suppressed,
+  deferred: !!data.deferred,
   ...overrides,
 });
 
+/**
+ * Utility function to convert a course snapshot entry object from the database to a data object.
+ * @param {Object} [data={}] The result of a query on the course_snapshots table of the database.
+ * @returns {CourseSnapshot} The Javascript object for the snapshot that was passed in.
+ */
+const toSnapshot = (data = {}) => ({
+  id: data.snapshot_id || undefined,
+  institutionKey: data.institution_key,
+  courseKey: data.course_key,
+  termKey: data.term_key,
+  timestamp: data.timestamp ? new Date(data.timestamp * 1000) : undefined,
+  lastSeen: data.last_seen ? new Date(data.last_seen * 1000) : undefined,
+  contentHash: data.content_hash,
+  data: data.data,
+});
+
+/**
+ * Utility function to convert an availability change entry object from the database to a data object.
+ * @param {Object} [data={}] The result of a query on the availability_changes table of the database.
+ * @returns {AvailabilityChange} The Javascript object for the change that was passed in.
+ */
+const toAvailabilityChange = (data = {}) => ({
+  institutionKey: data.institution_key,
+  termKey: data.term_key,
+  courseKey: data.course_key,
+  sectionKey: data.section_key,
+  timestamp: data.timestamp ? new Date(data.timestamp * 1000) : undefined,
+  availableSlots: data.available,
+  totalSlots: data.capacity,
+});
+
+/**
+ * Utility function to convert a worker cycle entry object from the database to a data object.
+ * Note: Times are stored in milliseconds since the epoch so the duration of short cycles is kept.
+ * @param {Object} [data={}] The result of a query on the worker_cycles table of the database.
+ * @returns {WorkerCycle} The Javascript object for the cycle that was passed in.
+ */
+const toWorkerCycle = (data = {}) => ({
+  id: data.cycle_id || undefined,
+  workerId: data.worker_id,
+  startedAt: data.started_at ? new Date(Number(data.started_at)) : undefined,
+  finishedAt: data.finished_at ? new Date(Number(data.finished_at)) : undefined,
+  duration:
+    data.started_at && data.finished_at
+      ? Number(data.finished_at) - Number(data.started_at)
+      : undefined,
+  succeeded: !!data.succeeded,
+  notifications: data.notifications || 0,
+  lookups: data.lookups || 0,
+  errors: data.errors || 0,
+  sent: data.messages_sent || 0,
+  error: data.error || null,
+});
+
+/**
+ * Utility function to convert an upstream status entry object from the database to a data object.
+ * @param {Object} [data={}] The result of a query on the upstream_status table of the database.
+ * @returns {UpstreamStatus} The Javascript object for the status that was passed in.
+ */
+const toUpstreamStatus = (data = {}) => ({
+  institutionKey: data.institution_key,
+  termKey: data.term_key || null,
+  courseKey: data.course_key || null,
+  state: data.state,
+  failures: data.failures || 0,
+  lastError: data.last_error || null,
+  lastFailure: data.last_failure ? new Date(data.last_failure * 1000) : null,
+  lastSuccess: data.last_success ? new Date(data.last_success * 1000) : null,
+  retryAt: data.retry_at ? new Date(data.retry_at * 1000) : null,
+  updatedAt: data.updated_at ? new Date(data.updated_at * 1000) : undefined,
+});
+
 /**
  * Utility function to convert an active notification entry object from the database to a data object.
  * @param {Object} [data={}] The result of a query on the notifications table joined with the runs table.
@@ -92,6 +255,17 @@ const toActiveNotification = (data = {}, overrides = {}) => ({
   id: undefined, // forcefully remove the id value if one was given
 });
 
+/**
+ * Utility function to determine the default expiry of a new notification.
+ * @param {String} institutionKey The institution of the notification.
+ * @param {String} termKey The term of the notification.
+ * @returns {(Date|null)} The deadline of the term if it has not passed yet, otherwise null (never expires).
+ */
+const defaultExpiry = (institutionKey, termKey) => {
+  const deadline = utils.getTermDeadline(institutionKey, termKey);
+  return deadline && deadline > Date.now() ? deadline : null;
+};
+
 /**
  * Tagged template for constructing SQL statements that will be used with sqlite3.
  * Values are passed as is, except for date objects. Any date objects will be converted to unix epoch in seconds via utils.toUnixEpoch(...).
@@ -218,6 +392,167 @@ class DB {
         )
       `);
 
+      // add the lease columns used to coordinate multiple workers
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS lease_owner TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS lease_expires INTEGER DEFAULT NULL
+      `);
+
+      // add the columns used to define the condition that triggers a notification
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS condition_type TEXT NOT NULL DEFAULT 'available',
+        ADD COLUMN IF NOT EXISTS condition_value INTEGER NOT NULL DEFAULT 1
+      `);
+
+      // add the columns used to filter sections by their meeting types
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS meeting_types TEXT[] DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS meeting_match TEXT NOT NULL DEFAULT 'any'
+      `);
+
+      // add the columns used to watch multiple sections with a single notification
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS include_sections TEXT[] DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS exclude_sections TEXT[] DEFAULT NULL
+      `);
+
+      // add the column used to expire notifications once they are no longer needed
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS expires_at INTEGER DEFAULT NULL
+      `);
+
+      // add the columns used to hold notifications during quiet hours
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS quiet_start TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS quiet_end TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS wake_up BOOLEAN NOT NULL DEFAULT FALSE
+      `);
+      await client.query(sql`
+        ALTER TABLE runs
+        ADD COLUMN IF NOT EXISTS deferred BOOLEAN NOT NULL DEFAULT FALSE
+      `);
+
+      // add the columns used to send reminders while the condition of a notification stays met
+      // note: the reminder state is carried forward on each run so it survives worker restarts
+      await client.query(sql`
+        ALTER TABLE notifications
+        ADD COLUMN IF NOT EXISTS reminder_interval INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS reminder_limit INTEGER NOT NULL DEFAULT 0
+      `);
+      await client.query(sql`
+        ALTER TABLE runs
+        ADD COLUMN IF NOT EXISTS reminder_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS sent_at INTEGER DEFAULT NULL
+      `);
+
+      // add the columns used to suppress alerts for seats that are only reported briefly
+      await client.query(sql`
+        ALTER TABLE runs
+        ADD COLUMN IF NOT EXISTS met_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS met_since INTEGER DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS suppressed BOOLEAN NOT NULL DEFAULT FALSE
+      `);
+
+      // add the columns used to compare the slots seen between runs
+      await client.query(sql`
+        ALTER TABLE runs
+        ADD COLUMN IF NOT EXISTS available_slots INTEGER DEFAULT NULL,
+        ADD COLUMN IF NOT EXISTS total_slots INTEGER DEFAULT NULL
+      `);
+
+      // create the course snapshot table so runs can share the data they were triggered by
+      await client.query(sql`
+        CREATE TABLE IF NOT EXISTS course_snapshots (
+          snapshot_id SERIAL PRIMARY KEY,
+          institution_key TEXT NOT NULL,
+          course_key TEXT NOT NULL,
+          term_key TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          last_seen INTEGER NOT NULL,
+          content_hash TEXT NOT NULL,
+          data TEXT NOT NULL,
+          UNIQUE (institution_key, course_key, term_key, content_hash)
+        )
+      `);
+      await client.query(sql`
+        ALTER TABLE runs
+        ADD COLUMN IF NOT EXISTS snapshot_id INTEGER DEFAULT NULL
+          REFERENCES course_snapshots (snapshot_id)
+            ON DELETE SET NULL
+            ON UPDATE CASCADE
+      `);
+      // index the runs of each snapshot, used when deleting unused snapshots and by their foreign key checks
+      await client.query(sql`
+        CREATE INDEX IF NOT EXISTS runs_snapshot_id_idx
+        ON runs (snapshot_id)
+      `);
+
+      // create the availability history table, only changes in the slots of each section are recorded
+      await client.query(sql`
+        CREATE TABLE IF NOT EXISTS availability_changes (
+          change_id SERIAL PRIMARY KEY,
+          institution_key TEXT NOT NULL,
+          term_key TEXT NOT NULL,
+          course_key TEXT NOT NULL,
+          section_key TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          available INTEGER NOT NULL,
+          capacity INTEGER NOT NULL
+        )
+      `);
+      await client.query(sql`
+        CREATE INDEX IF NOT EXISTS availability_changes_course_idx
+        ON availability_changes (institution_key, term_key, course_key, section_key, timestamp)
+      `);
+      await client.query(sql`
+        CREATE INDEX IF NOT EXISTS availability_changes_timestamp_idx
+        ON availability_changes (timestamp)
+      `);
+
+      // create the upstream status table, an empty term and course is used for the status of a whole institution
+      await client.query(sql`
+        CREATE TABLE IF NOT EXISTS upstream_status (
+          institution_key TEXT NOT NULL,
+          term_key TEXT NOT NULL DEFAULT '',
+          course_key TEXT NOT NULL DEFAULT '',
+          state TEXT NOT NULL,
+          failures INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          last_failure INTEGER,
+          last_success INTEGER,
+          retry_at INTEGER,
+          updated_at INTEGER NOT NULL,
+          PRIMARY KEY (institution_key, term_key, course_key)
+        )
+      `);
+
+      // create the worker cycles table, used to report when the worker last checked
+      await client.query(sql`
+        CREATE TABLE IF NOT EXISTS worker_cycles (
+          cycle_id SERIAL PRIMARY KEY,
+          worker_id TEXT NOT NULL,
+          started_at BIGINT NOT NULL,
+          finished_at BIGINT NOT NULL,
+          succeeded BOOLEAN NOT NULL,
+          notifications INTEGER NOT NULL DEFAULT 0,
+          lookups INTEGER NOT NULL DEFAULT 0,
+          errors INTEGER NOT NULL DEFAULT 0,
+          messages_sent INTEGER NOT NULL DEFAULT 0,
+          error TEXT
+        )
+      `);
+      await client.query(sql`
+        CREATE INDEX IF NOT EXISTS worker_cycles_finished_at_idx
+        ON worker_cycles (finished_at)
+      `);
+
       // remove fk constraint if the database already was created
       await client.query(sql`
         ALTER TABLE notifications
@@ -265,16 +600,31 @@ class DB {
     }
 
     // create a new pg pool to use for connections
-    this.pool = new Pool({ connectionString: this.connectionString, ssl: { rejectUnauthorized: false } });
+    this.pool = new Pool({
+      connectionString: this.connectionString,
+      ssl: { rejectUnauthorized: false },
+    });
 
     // initialize the database with the correct tables
     await this.initialize();
-    console.log(`Connected to database at '${this.connectionString}'`);
+    logger.info(`Connected to database at '${this.connectionString}'`);
 
     // return self for easy chaining
     return this;
   }
 
+  /**
+   * Checks that the database can be reached by running a trivial query.
+   * @returns {Promise<undefined>} Resolves once the database has responded or rejects with the DB error.
+   */
+  async ping() {
+    if (!this.isOpen) {
+      throw new Error('Must be connected to a database before it can be checked');
+    }
+
+    await this.pool.query(sql`SELECT 1`);
+  }
+
   /**
    * Attempts to close the database associated with this DB object.
    * @returns {Promise<undefined>} Promise that rejects with DB error or resolves on close.
@@ -287,11 +637,13 @@ class DB {
 
     // close the connection pool which will close and end all connections to the db
     await this.pool.end();
-    console.log(`Closed database connection from '${this.connectionString}'`);
+    logger.info(`Closed database connection from '${this.connectionString}'`);
   }
 
   /**
    * Creates a new notification entry in the database.
+   * If no expiry is given, the notification expires at the deadline of its term (see utils.getTermDeadline) unless that deadline has already passed.
+   * Pass an expiry of null to create a notification that never expires.
    * @param {Notification} notification The notification to insert into the database. Note that you cannot have an ID preset.
    * @returns {Promise<Notification>} The created notification entry.
    */
@@ -303,6 +655,19 @@ class DB {
     contact,
     enabled = true,
     verified = false,
+    conditionType = DEFAULT_CONDITION.conditionType,
+    conditionValue = DEFAULT_CONDITION.conditionValue,
+    includeSections = null,
+    excludeSections = null,
+    meetingTypes = null,
+    meetingMatch = MEETING_MATCH.ANY,
+    quietStart = null,
+    quietEnd = null,
+    timezone = null,
+    wakeUp = false,
+    reminderInterval = 0,
+    reminderLimit = 0,
+    expiresAt = defaultExpiry(institutionKey, termKey),
   } = {}) {
     if (!institutionKey || !courseKey || !termKey || !contact) {
       throw new Error(
@@ -322,8 +687,8 @@ class DB {
 
     // create the new notification
     const data = await this.pool.query(sql`
-      INSERT INTO notifications(access_key, institution_key, course_key, section_key, term_key, contact, enabled, verified)
-      VALUES (${accessKey}, ${institutionKey}, ${courseKey}, ${sectionKey}, ${termKey}, ${contact}, ${!!enabled}, ${!!verified})
+      INSERT INTO notifications(access_key, institution_key, course_key, section_key, term_key, contact, enabled, verified, condition_type, condition_value, include_sections, exclude_sections, meeting_types, meeting_match, quiet_start, quiet_end, timezone, wake_up, reminder_interval, reminder_limit, expires_at)
+      VALUES (${accessKey}, ${institutionKey}, ${courseKey}, ${sectionKey}, ${termKey}, ${contact}, ${!!enabled}, ${!!verified}, ${conditionType}, ${conditionValue}, ${includeSections}, ${excludeSections}, ${meetingTypes}, ${meetingMatch}, ${quietStart}, ${quietEnd}, ${timezone}, ${!!wakeUp}, ${reminderInterval}, ${reminderLimit}, ${expiresAt})
       RETURNING *
     `);
 
@@ -358,6 +723,19 @@ class DB {
       contact: 'contact',
       enabled: 'enabled',
       verified: 'verified',
+      conditionType: 'condition_type',
+      conditionValue: 'condition_value',
+      includeSections: 'include_sections',
+      excludeSections: 'exclude_sections',
+      meetingTypes: 'meeting_types',
+      meetingMatch: 'meeting_match',
+      quietStart: 'quiet_start',
+      quietEnd: 'quiet_end',
+      timezone: 'timezone',
+      wakeUp: 'wake_up',
+      reminderInterval: 'reminder_interval',
+      reminderLimit: 'reminder_limit',
+      expiresAt: 'expires_at',
     };
 
     // ensure that we have a method to specify the correct notification
@@ -450,7 +828,22 @@ class DB {
    * @returns {Promise<NotificationRun>} The created notification entry.
    */
   async createRun(
-    { notificationId, error, sourceData, timestamp = new Date(), notificationSent } = {},
+    {
+      notificationId,
+      error,
+      sourceData,
+      snapshotId,
+      timestamp = new Date(),
+      notificationSent,
+      availableSlots,
+      totalSlots,
+      reminderCount = 0,
+      sentAt,
+      metCount = 0,
+      metSince,
+      suppressed = false,
+      deferred = false,
+    } = {},
     defaultNotificationId
   ) {
     let myNotificationId =
@@ -467,8 +860,8 @@ class DB {
 
     // create the new run
     const data = await this.pool.query(sql`
-      INSERT INTO runs(notification_id, error, source_data, timestamp, notification_sent)
-      VALUES (${myNotificationId}, ${error}, ${sourceData}, ${timestamp}, ${!!notificationSent})
+      INSERT INTO runs(notification_id, error, source_data, snapshot_id, timestamp, notification_sent, available_slots, total_slots, reminder_count, sent_at, met_count, met_since, suppressed, deferred)
+      VALUES (${myNotificationId}, ${error}, ${sourceData}, ${snapshotId}, ${timestamp}, ${!!notificationSent}, ${availableSlots}, ${totalSlots}, ${reminderCount}, ${sentAt}, ${metCount}, ${metSince}, ${!!suppressed}, ${!!deferred})
       RETURNING *
     `);
 
@@ -496,7 +889,7 @@ class DB {
           sql`DELETE FROM runs WHERE run_id = ${data.rows[0].run_id}`
         );
       } catch (err) {
-        console.warn(err);
+        logger.warn('Encountered error while rolling back a failed run', err);
       }
 
       // throw a relevant error
@@ -511,6 +904,301 @@ class DB {
     }
   }
 
+  /**
+   * Stores a snapshot of the data for a course so it can be shared by all runs that saw the same data.
+   * If a snapshot with the same data already exists for the course, it is reused and marked as seen.
+   * @param {Object} snapshot The snapshot to store.
+   * @param {String} snapshot.institutionKey The institution of the course.
+   * @param {String} snapshot.courseKey The course code of the course.
+   * @param {String} snapshot.termKey The term of the course.
+   * @param {String} snapshot.data The data of the course as a JSON string.
+   * @param {Date} [snapshot.timestamp=new Date()] When the data was seen.
+   * @returns {Promise<CourseSnapshot>} Resolves with the new or existing snapshot.
+   */
+  async createSnapshot({
+    institutionKey,
+    courseKey,
+    termKey,
+    data,
+    timestamp = new Date(),
+  }) {
+    if (!institutionKey || !courseKey || !termKey || typeof data !== 'string') {
+      throw new Error(
+        'Snapshot must have keys for institution, course, and term as well as the data'
+      );
+    }
+
+    const contentHash = crypto
+      .createHash('sha256')
+      .update(data)
+      .digest('hex');
+    const result = await this.pool.query(sql`
+      INSERT INTO course_snapshots(institution_key, course_key, term_key, timestamp, last_seen, content_hash, data)
+      VALUES (${institutionKey}, ${courseKey}, ${termKey}, ${timestamp}, ${timestamp}, ${contentHash}, ${data})
+      ON CONFLICT (institution_key, course_key, term_key, content_hash)
+      DO UPDATE SET last_seen = GREATEST(course_snapshots.last_seen, EXCLUDED.last_seen)
+      RETURNING *
+    `);
+
+    if (!result || result.rows.length <= 0) {
+      throw new Error('Failed to insert new course snapshot in database');
+    } else {
+      return toSnapshot(result.rows[0]);
+    }
+  }
+
+  /**
+   * Gets the most recently seen snapshot of a course, as long as it was seen after the specified date.
+   * Used to share course lookups between processes, since a snapshot is stored (or marked as seen) whenever a course is looked up.
+   * @param {Object} course The keys identifying the course.
+   * @param {String} course.institutionKey The institution of the course.
+   * @param {String} course.courseKey The course code of the course.
+   * @param {String} course.termKey The term of the course.
+   * @param {Date} seenAfterDate Snapshots last seen before this date are ignored.
+   * @returns {Promise<(CourseSnapshot|undefined)>} Resolves with the snapshot or undefined if none was seen recently enough.
+   */
+  async getLatestSnapshot({ institutionKey, courseKey, termKey }, seenAfterDate) {
+    const data = await this.pool.query(sql`
+      SELECT *
+      FROM course_snapshots
+      WHERE
+        institution_key = ${institutionKey} AND
+        course_key = ${courseKey} AND
+        term_key = ${termKey} AND
+        last_seen >= ${utils.toUnixEpoch(seenAfterDate)}
+      ORDER BY last_seen DESC, snapshot_id DESC
+      LIMIT 1
+    `);
+
+    return data && data.rows.length > 0 ? toSnapshot(data.rows[0]) : undefined;
+  }
+
+  /**
+   * Records the availability of every section of a course, only sections whose slots changed since they were last recorded are stored.
+   * @param {Object} course The course to record the availability of.
+   * @param {String} course.institutionKey The institution of the course.
+   * @param {String} course.termKey The term of the course.
+   * @param {String} course.courseKey The course code of the course.
+   * @param {Array<Section>} course.sections The sections of the course with their slots.
+   * @param {Date} [course.timestamp=new Date()] When the availability was seen.
+   * @returns {Promise<Number>} Resolves with the number of changes that were recorded.
+   */
+  async recordAvailability({
+    institutionKey,
+    termKey,
+    courseKey,
+    sections = [],
+    timestamp = new Date(),
+  }) {
+    if (!institutionKey || !termKey || !courseKey) {
+      throw new Error('The institution, term, and course keys must all be specified');
+    }
+
+    // only sections with known slots can be recorded
+    const known = sections.filter(
+      ({ id, available, capacity }) => id && available != null && capacity != null
+    );
+    if (known.length <= 0) {
+      return 0;
+    }
+
+    // insert each section unless its latest recorded slots are the same
+    const data = await this.pool.query(sql`
+      INSERT INTO availability_changes(institution_key, term_key, course_key, section_key, timestamp, available, capacity)
+      SELECT ${institutionKey}, ${termKey}, ${courseKey}, s.section_key, ${timestamp}, s.available, s.capacity
+      FROM unnest(
+        ${known.map(({ id }) => id)}::TEXT[],
+        ${known.map(({ available }) => available)}::INTEGER[],
+        ${known.map(({ capacity }) => capacity)}::INTEGER[]
+      ) AS s(section_key, available, capacity)
+      WHERE NOT EXISTS (
+        SELECT 1 FROM (
+          SELECT available, capacity FROM availability_changes
+          WHERE
+            institution_key = ${institutionKey} AND
+            term_key = ${termKey} AND
+            course_key = ${courseKey} AND
+            section_key = s.section_key
+          ORDER BY timestamp DESC, change_id DESC
+          LIMIT 1
+        ) AS latest
+        WHERE latest.available = s.available AND latest.capacity = s.capacity
+      )
+    `);
+
+    return data ? data.rowCount : 0;
+  }
+
+  /**
+   * Gets the availability history of a course, optionally for a single section and range of time.
+   * @param {Object} query The course to get the history of.
+   * @param {String} query.institutionKey The institution of the course.
+   * @param {String} query.termKey The term of the course.
+   * @param {String} query.courseKey The course code of the course.
+   * @param {String} [query.sectionKey] Only include changes for this section.
+   * @param {Date} [query.since] Only include changes at or after this date.
+   * @param {Date} [query.until] Only include changes at or before this date.
+   * @returns {Promise<Array<AvailabilityChange>>} The changes found, sorted with the oldest change first.
+   */
+  async getAvailabilityHistory({
+    institutionKey,
+    termKey,
+    courseKey,
+    sectionKey,
+    since,
+    until,
+  }) {
+    if (!institutionKey || !termKey || !courseKey) {
+      throw new Error('The institution, term, and course keys must all be specified');
+    }
+
+    // note: null filters are ignored
+    const data = await this.pool.query(sql`
+      SELECT * FROM availability_changes
+      WHERE
+        institution_key = ${institutionKey} AND
+        term_key = ${termKey} AND
+        course_key = ${courseKey} AND
+        (${sectionKey || null}::TEXT IS NULL OR section_key = ${sectionKey || null}) AND
+        (${since || null}::BIGINT IS NULL OR timestamp >= ${since || null}::BIGINT) AND
+        (${until || null}::BIGINT IS NULL OR timestamp <= ${until || null}::BIGINT)
+      ORDER BY timestamp ASC, change_id ASC
+    `);
+
+    return data ? data.rows.map(toAvailabilityChange) : [];
+  }
+
+  /**
+   * Records a cycle performed by a worker.
+   * @param {Object} cycle The cycle to record.
+   * @param {String} cycle.workerId The identifier of the worker that performed the cycle.
+   * @param {Date} cycle.startedAt When the cycle started.
+   * @param {Date} cycle.finishedAt When the cycle finished.
+   * @param {Boolean} cycle.succeeded Whether the cycle finished without an error.
+   * @param {Number} [cycle.notifications=0] The number of notifications checked.
+   * @param {Number} [cycle.lookups=0] The number of course lookups made.
+   * @param {Number} [cycle.errors=0] The number of errors encountered.
+   * @param {Number} [cycle.sent=0] The number of messages sent.
+   * @param {String} [cycle.error] The error that stopped the cycle.
+   * @returns {Promise<WorkerCycle>} Resolves with the cycle that was recorded.
+   */
+  async createWorkerCycle({
+    workerId,
+    startedAt,
+    finishedAt,
+    succeeded,
+    notifications = 0,
+    lookups = 0,
+    errors = 0,
+    sent = 0,
+    error = null,
+  }) {
+    if (!workerId || !startedAt || !finishedAt) {
+      throw new Error(
+        'Worker cycle must have a worker ID as well as start and finish times'
+      );
+    }
+
+    // note: the times are converted to milliseconds manually since the sql tag would round them to seconds
+    const data = await this.pool.query(sql`
+      INSERT INTO worker_cycles(worker_id, started_at, finished_at, succeeded, notifications, lookups, errors, messages_sent, error)
+      VALUES (
+        ${workerId}, ${startedAt.valueOf()}, ${finishedAt.valueOf()}, ${!!succeeded},
+        ${notifications || 0}, ${lookups || 0}, ${errors || 0}, ${sent || 0}, ${error}
+      )
+      RETURNING *
+    `);
+
+    if (!data || data.rows.length <= 0) {
+      throw new Error('Failed to insert new worker cycle in database');
+    } else {
+      return toWorkerCycle(data.rows[0]);
+    }
+  }
+
+  /**
+   * Gets the most recent cycle performed by any worker.
+   * @param {Object} [options={}] Options used to filter the cycles.
+   * @param {Boolean} [options.succeeded] When set, only cycles that did (or did not) succeed are included.
+   * @returns {Promise<(WorkerCycle|undefined)>} Resolves with the most recent cycle or undefined if none have been recorded.
+   */
+  async getLastWorkerCycle({ succeeded } = {}) {
+    const data = await this.pool.query(sql`
+      SELECT * FROM worker_cycles
+      WHERE ${
+        succeeded === undefined ? null : succeeded
+      }::BOOLEAN IS NULL OR succeeded = ${succeeded === undefined ? null : succeeded}
+      ORDER BY finished_at DESC
+      LIMIT 1
+    `);
+
+    return data && data.rows.length > 0 ? toWorkerCycle(data.rows[0]) : undefined;
+  }
+
+  /**
+   * Records the status of the lookups for institutions and courses, replacing any status already recorded for them.
+   * A status is only replaced by one updated at the same time or later, so workers recording at once cannot undo each other's newer changes.
+   * @param {Array<UpstreamStatus>} statuses The statuses to record.
+   * @returns {Promise<Number>} Resolves with the number of statuses that were recorded.
+   */
+  async saveUpstreamStatuses(statuses = []) {
+    const results = await Promise.all(
+      statuses.map(status =>
+        this.pool.query(sql`
+          INSERT INTO upstream_status(institution_key, term_key, course_key, state, failures, last_error, last_failure, last_success, retry_at, updated_at)
+          VALUES (
+            ${status.institutionKey}, ${status.termKey || ''}, ${status.courseKey ||
+          ''}, ${status.state}, ${status.failures},
+            ${status.lastError}, ${status.lastFailure}, ${status.lastSuccess}, ${
+          status.retryAt
+        }, ${status.updatedAt || new Date()}
+          )
+          ON CONFLICT (institution_key, term_key, course_key)
+          DO UPDATE SET
+            state = EXCLUDED.state,
+            failures = EXCLUDED.failures,
+            last_error = EXCLUDED.last_error,
+            last_failure = EXCLUDED.last_failure,
+            last_success = COALESCE(EXCLUDED.last_success, upstream_status.last_success),
+            retry_at = EXCLUDED.retry_at,
+            updated_at = EXCLUDED.updated_at
+          WHERE upstream_status.updated_at <= EXCLUDED.updated_at
+        `)
+      )
+    );
+
+    return _.sumBy(results, 'rowCount') || 0;
+  }
+
+  /**
+   * Gets the recorded status of the lookups for institutions and courses.
+   * When a course is given, the status of its institution is included along with the status of the course.
+   * @param {Object} [scope={}] Optional filters for the statuses to get.
+   * @param {String} [scope.institutionKey] Only include statuses for this institution.
+   * @param {String} [scope.termKey] Only include courses in this term.
+   * @param {String} [scope.courseKey] Only include this course.
+   * @returns {Promise<Array<UpstreamStatus>>} The statuses found, institutions first.
+   */
+  async getUpstreamStatuses({ institutionKey, termKey, courseKey } = {}) {
+    // note: null filters are ignored
+    const data = await this.pool.query(sql`
+      SELECT * FROM upstream_status
+      WHERE
+        (${institutionKey || null}::TEXT IS NULL OR institution_key = ${institutionKey ||
+      null}) AND
+        (
+          (term_key = '' AND course_key = '') OR
+          (
+            (${termKey || null}::TEXT IS NULL OR term_key = ${termKey || null}) AND
+            (${courseKey || null}::TEXT IS NULL OR course_key = ${courseKey || null})
+          )
+        )
+      ORDER BY institution_key ASC, course_key <> '' ASC, term_key ASC, course_key ASC
+    `);
+
+    return data ? data.rows.map(toUpstreamStatus) : [];
+  }
+
   /**
    * Gets the run entry with a matching ID from the database.
    * @param {Number} runId The ID of the run entry to get.
@@ -522,9 +1210,14 @@ class DB {
       throw new Error('Run ID must be specified');
     }
 
-    // try to find a matching run in the database
+    // try to find a matching run in the database, resolving the source data from its snapshot if needed
     const data = await this.pool.query(sql`
-      SELECT * FROM runs WHERE run_id = ${runId} LIMIT 1
+      SELECT runs.*, COALESCE(runs.source_data, course_snapshots.data) AS source_data
+      FROM runs
+      LEFT JOIN course_snapshots
+      ON runs.snapshot_id = course_snapshots.snapshot_id
+      WHERE run_id = ${runId}
+      LIMIT 1
     `);
 
     // if run not found, return undefined
@@ -551,8 +1244,13 @@ class DB {
       throw new Error('Either the notification ID or access key must be specified');
     }
 
-    // start building the query
-    let query = sql`SELECT * FROM runs`;
+    // start building the query, resolving the source data of each run from its snapshot if needed
+    let query = sql`
+      SELECT runs.*, COALESCE(runs.source_data, course_snapshots.data) AS source_data
+      FROM runs
+      LEFT JOIN course_snapshots
+      ON runs.snapshot_id = course_snapshots.snapshot_id
+    `;
 
     // either directly query with notification ID or perform a subquery to find the correct notification ID.
     if (idOrAccessKey.id !== undefined) {
@@ -566,7 +1264,7 @@ class DB {
     }
 
     // apply the correct sorting
-    query = query.append`ORDER BY timestamp DESC`;
+    query = query.append`ORDER BY runs.timestamp DESC`;
 
     // apply the limit if required
     if (limit >= 0) {
@@ -607,6 +1305,10 @@ class DB {
           notifications.last_run_id IS NULL OR
           runs.timestamp < ${utils.toUnixEpoch(new Date()) - effectiveTtl}
         ) AND
+        (
+          notifications.expires_at IS NULL OR
+          notifications.expires_at > ${utils.toUnixEpoch(new Date())}
+        ) AND
         notifications.enabled = ${true}
       ORDER BY runs.timestamp ASC
     `;
@@ -625,6 +1327,191 @@ class DB {
     }
   }
 
+  /**
+   * Counts the notifications that are being watched, that is, every enabled notification that has not expired.
+   * @returns {Promise<Number>} Resolves with the number of active notifications.
+   */
+  async countActiveNotifications() {
+    const data = await this.pool.query(sql`
+      SELECT COUNT(*) AS count FROM notifications
+      WHERE
+        enabled = ${true} AND
+        (expires_at IS NULL OR expires_at > ${new Date()})
+    `);
+
+    return data && data.rows.length > 0 ? Number(data.rows[0].count) : 0;
+  }
+
+  /**
+   * Claims a batch of active notifications for a single worker by placing a lease on them.
+   * Notifications are selected in the same way as listActiveNotifications(...) but any notification with an unexpired lease is skipped.
+   * Rows that are being claimed by another worker at the same time are skipped rather than waited on, so multiple workers may safely claim at once.
+   * If a worker crashes, its leases expire after leaseDuration and the notifications can then be claimed by another worker.
+   * @param {String} owner The unique identifier of the worker claiming the notifications.
+   * @param {Object} [options={}] Options to control which notifications are claimed.
+   * @param {Number} [options.leaseDuration=config.workerLeaseDuration] The time, in seconds, the lease will be held for.
+   * @param {Number} [options.effectiveTtl=config.slotDataTtl] Specific the effective time-to-live to use when determining if a notification is active now.
+   * @param {Number} [options.limit=config.workerBatchSize] The maximum number of notifications to claim. Set to -1 for no limit.
+   * @returns {Promise<Array<ActiveNotification>>} List of the notifications that were claimed, with the oldest data first.
+   */
+  async claimActiveNotifications(
+    owner,
+    {
+      leaseDuration = config.workerLeaseDuration,
+      effectiveTtl = config.slotDataTtl,
+      limit = config.workerBatchSize,
+    } = {}
+  ) {
+    if (!owner) {
+      throw new Error('The owner of the lease must be specified');
+    } else if (typeof effectiveTtl !== 'number' || effectiveTtl < 0) {
+      throw new Error('The effective TTL must be a number with a value of 0 or greater');
+    }
+
+    const now = utils.toUnixEpoch(new Date());
+
+    // select the notifications to claim, locking them and skipping any that are locked by another worker
+    // then place the lease on the selected notifications and return them combined with their last run
+    // note: a null limit is the same as no limit
+    const query = sql`
+      WITH claimed AS (
+        UPDATE notifications
+        SET lease_owner = ${owner}, lease_expires = ${now + leaseDuration}
+        WHERE notification_id IN (
+          SELECT notifications.notification_id FROM notifications
+          LEFT JOIN runs
+          ON notifications.last_run_id = runs.run_id
+          WHERE
+            (
+              notifications.last_run_id IS NULL OR
+              runs.timestamp < ${now - effectiveTtl}
+            ) AND
+            (
+              notifications.lease_expires IS NULL OR
+              notifications.lease_expires <= ${now}
+            ) AND
+            (
+              notifications.expires_at IS NULL OR
+              notifications.expires_at > ${now}
+            ) AND
+            notifications.enabled = ${true}
+          ORDER BY runs.timestamp ASC NULLS FIRST
+          LIMIT ${limit >= 0 ? limit : null}
+          FOR UPDATE OF notifications SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT *, claimed.notification_id FROM claimed
+      LEFT JOIN runs
+      ON claimed.last_run_id = runs.run_id
+      ORDER BY runs.timestamp ASC NULLS FIRST
+    `;
+
+    // execute the query and return the transformed data
+    const data = await this.pool.query(query);
+    if (!data || data.rows.length <= 0) {
+      return [];
+    } else {
+      return data.rows.map(toActiveNotification);
+    }
+  }
+
+  /**
+   * Renews the leases held by a worker so another worker does not claim the notifications while they are still being checked.
+   * Only leases that are still held by the given owner and have not expired are renewed, since an expired lease may already have been claimed.
+   * @param {String} owner The unique identifier of the worker that claimed the notifications.
+   * @param {Array<Number>} notificationIds The IDs of the notifications to renew the leases of.
+   * @param {Number} [leaseDuration=config.workerLeaseDuration] The time, in seconds, the renewed leases will be held for.
+   * @returns {Promise<Array<Number>>} Resolves with the IDs of the notifications whose leases were renewed.
+   */
+  async renewLeases(
+    owner,
+    notificationIds = [],
+    leaseDuration = config.workerLeaseDuration
+  ) {
+    if (!owner) {
+      throw new Error('The owner of the lease must be specified');
+    } else if (notificationIds.length <= 0) {
+      return [];
+    }
+
+    const now = utils.toUnixEpoch(new Date());
+    const data = await this.pool.query(sql`
+      UPDATE notifications
+      SET lease_expires = ${now + leaseDuration}
+      WHERE
+        lease_owner = ${owner} AND
+        lease_expires > ${now} AND
+        notification_id = ANY(${notificationIds})
+      RETURNING notification_id
+    `);
+
+    return data ? data.rows.map(({ notification_id }) => notification_id) : [];
+  }
+
+  /**
+   * Checks whether a worker still holds an unexpired lease on a notification, used before sending a message for it.
+   * @param {String} owner The unique identifier of the worker that claimed the notification.
+   * @param {Number} notificationId The ID of the notification to check.
+   * @returns {Promise<Boolean>} Resolves with true when the lease is still held.
+   */
+  async holdsLease(owner, notificationId) {
+    const data = await this.pool.query(sql`
+      SELECT 1 FROM notifications
+      WHERE
+        notification_id = ${notificationId} AND
+        lease_owner = ${owner} AND
+        lease_expires > ${utils.toUnixEpoch(new Date())}
+    `);
+
+    return !!data && data.rows.length > 0;
+  }
+
+  /**
+   * Releases the leases held by a worker so the notifications may be claimed again once their data expires.
+   * Only leases that are still held by the given owner are released.
+   * @param {String} owner The unique identifier of the worker that claimed the notifications.
+   * @param {Array<Number>} notificationIds The IDs of the notifications to release.
+   * @returns {Promise<Number>} Resolves with the number of notifications that were released.
+   */
+  async releaseNotifications(owner, notificationIds = []) {
+    if (!owner) {
+      throw new Error('The owner of the lease must be specified');
+    } else if (notificationIds.length <= 0) {
+      return 0;
+    }
+
+    const data = await this.pool.query(sql`
+      UPDATE notifications
+      SET lease_owner = ${undefined}, lease_expires = ${undefined}
+      WHERE
+        lease_owner = ${owner} AND
+        notification_id = ANY(${notificationIds})
+    `);
+
+    return data ? data.rowCount : 0;
+  }
+
+  /**
+   * Disables every enabled notification that has expired.
+   * Each expired notification is only returned once, so multiple workers may safely expire notifications at the same time.
+   * @param {Date} [expireBeforeDate=Date.now()] Notifications that expire at or before this date are disabled.
+   * @returns {Promise<Array<Notification>>} Resolves with the notifications that were disabled.
+   */
+  async expireNotifications(expireBeforeDate = Date.now()) {
+    const data = await this.pool.query(sql`
+      UPDATE notifications
+      SET enabled = ${false}
+      WHERE
+        enabled = ${true} AND
+        expires_at IS NOT NULL AND
+        expires_at <= ${utils.toUnixEpoch(expireBeforeDate)}
+      RETURNING *
+    `);
+
+    return data ? data.rows.map(row => toNotification(row)) : [];
+  }
+
   /**
    * Deletes all runs that occured before the specified date that are not the listed as the last run for any existing notification.
    * @param {Date} deleteBeforeDate The date to use to determine whether a run should be deleted.
@@ -646,6 +1533,59 @@ class DB {
         )
     `);
   }
+
+  /**
+   * Deletes all availability changes that were recorded before the specified date.
+   * @param {Date} [deleteBeforeDate] The date to use to determine whether a change should be deleted, defaults to config.historyRetention ago.
+   * @returns {Promise<Number>} Resolves with the number of changes that were deleted.
+   */
+  async deletePastAvailability(
+    deleteBeforeDate = Date.now() - config.historyRetention * 1000
+  ) {
+    const data = await this.pool.query(sql`
+      DELETE FROM availability_changes
+      WHERE timestamp < ${utils.toUnixEpoch(deleteBeforeDate)}
+    `);
+
+    return data ? data.rowCount : 0;
+  }
+
+  /**
+   * Deletes all worker cycles that finished before the specified date.
+   * @param {Date} [deleteBeforeDate] The date to use to determine whether a cycle should be deleted, defaults to config.cycleRetention ago.
+   * @returns {Promise<Number>} Resolves with the number of cycles that were deleted.
+   */
+  async deletePastWorkerCycles(
+    deleteBeforeDate = Date.now() - config.cycleRetention * 1000
+  ) {
+    const data = await this.pool.query(sql`
+      DELETE FROM worker_cycles
+      WHERE finished_at < ${deleteBeforeDate.valueOf()}
+    `);
+
+    return data ? data.rowCount : 0;
+  }
+
+  /**
+   * Deletes all course snapshots that were last seen before the specified date and are no longer referenced by any run.
+   * Note: Recently seen snapshots are kept since a worker may be about to create a run that references them.
+   * @param {Date} [deleteBeforeDate] The date to use to determine whether a snapshot should be deleted, defaults to the worker lease duration ago.
+   * @returns {Promise<Number>} Resolves with the number of snapshots that were deleted.
+   */
+  async deleteUnusedSnapshots(
+    deleteBeforeDate = Date.now() - config.workerLeaseDuration * 1000
+  ) {
+    const data = await this.pool.query(sql`
+      DELETE FROM course_snapshots
+      WHERE
+        course_snapshots.last_seen <= ${utils.toUnixEpoch(deleteBeforeDate)}
+        AND NOT EXISTS (
+          SELECT 1 FROM runs WHERE runs.snapshot_id = course_snapshots.snapshot_id
+        )
+    `);
+
+    return data ? data.rowCount : 0;
+  }
 }
 
 // export a single instance of a DB abstraction layer
@@ -1,6 +1,7 @@
 const swaggerUi = require('swagger-ui-express');
 const swaggerJSDoc = require('swagger-jsdoc');
 const { apiUrl } = require('./utils');
+const logger = require('./logger');
 
 /**
  * Defines the swagger definition config object to use when generating a swagger spec.
@@ -47,7 +48,7 @@ const swaggerUiOptions = Object.freeze({
  * @returns {String} The generated swagger spec string.
  */
 const generateSpec = (options = swaggerJSDocOptions) => {
-  console.log('Generating swagger API documentation spec...');
+  logger.info('Generating swagger API documentation spec...');
   return swaggerJSDoc(options);
 };
 
@@ -65,11 +66,11 @@ const routes = (app, options = swaggerUiOptions, spec = generateSpec()) => {
     res.setHeader('Content-Type', 'application/json');
     res.send(spec);
   });
-  console.log(`Swagger API spec file available: '${apiUrl('docs.json')}'`);
+  logger.info(`Swagger API spec file available: '${apiUrl('docs.json')}'`);
 
   // use the swagger UI at the same URL
   app.use(apiUrl('docs'), swaggerUi.serve, swaggerUi.setup(spec, options));
-  console.log(`Swagger API UI available: '${apiUrl('docs')}'`);
+  logger.info(`Swagger API UI available: '${apiUrl('docs')}'`);
 };
 
 module.exports = routes;
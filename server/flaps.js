@@ -0,0 +1,67 @@
+const config = require('../config');
+const conditions = require('./conditions');
+
+/**
+ * The debounce policy used to decide whether a condition has been met for long enough to alert.
+ * @typedef {Object} FlapPolicy
+ * @property {Number} confirmations The number of consecutive runs (including the current run) that must meet the condition.
+ * @property {Number} minDuration The time, in seconds, that the condition must have been met for.
+ */
+
+/**
+ * The result of checking a notification against its flap policy.
+ * @typedef {Object} FlapState
+ * @property {Number} metCount The number of consecutive runs that have met the condition, 0 if not met during this run.
+ * @property {(Date|undefined)} metSince When the condition was first met in the current streak of runs.
+ * @property {Boolean} confirmed True when the condition has been met for long enough to alert.
+ */
+
+const flaps = (module.exports = {
+  /**
+   * Gets the flap policy used for some institution from config.flapPolicies.
+   * @param {String} institutionKey The institution to get the policy of, institutions that are not listed use the default policy.
+   * @returns {FlapPolicy} The policy for the institution.
+   */
+  getPolicy: institutionKey => {
+    const { confirmations, minDuration } = {
+      ...config.flapPolicies.default,
+      ...config.flapPolicies[institutionKey],
+    };
+
+    return {
+      confirmations: Math.max(confirmations || 1, 1),
+      minDuration: Math.max(minDuration || 0, 0),
+    };
+  },
+
+  /**
+   * Checks whether the condition of a notification has been met for long enough to alert based upon the history of its runs.
+   * The streak of runs meeting the condition is carried forward on each run so only the last run is needed.
+   * Conditions based upon a change are always confirmed since they only trigger for a single run.
+   * @param {ActiveNotification} notification The notification combined with its last run.
+   * @param {Boolean} conditionMet Whether the condition was met during the current run.
+   * @param {Date} [date=new Date()] When the current run occurred, defaults to now.
+   * @returns {FlapState} The streak to record with the current run and whether it has been confirmed.
+   */
+  evaluate: (notification, conditionMet, date = new Date()) => {
+    if (!conditionMet) {
+      return { metCount: 0, metSince: undefined, confirmed: false };
+    }
+
+    // extend the streak from the last run if it also met the condition
+    const streak = notification.runId !== undefined && notification.metCount > 0;
+    const metCount = streak ? notification.metCount + 1 : 1;
+    const metSince = (streak && notification.metSince) || date;
+
+    if (conditions.isChange(notification.conditionType)) {
+      return { metCount, metSince, confirmed: true };
+    }
+
+    const { confirmations, minDuration } = flaps.getPolicy(notification.institutionKey);
+    return {
+      metCount,
+      metSince,
+      confirmed: metCount >= confirmations && date - metSince >= minDuration * 1000,
+    };
+  },
+});
@@ -0,0 +1,94 @@
+// set the policies through the config overrides so the tests do not depend on the defaults
+process.env.FLAP_POLICIES_DEFAULT_CONFIRMATIONS = '3';
+process.env.FLAP_POLICIES_DEFAULT_MIN_DURATION = '120';
+process.env.FLAP_POLICIES_UOG_CONFIRMATIONS = '2';
+process.env.FLAP_POLICIES_UOG_MIN_DURATION = '0';
+
+const flaps = require('./flaps');
+const { CONDITION_TYPE } = require('./conditions');
+
+const start = new Date('2022-09-01T12:00:00Z');
+
+/**
+ * Utility to get a date some number of seconds after the first run.
+ * @param {Number} seconds The seconds since the first run.
+ * @returns {Date} The date.
+ */
+const after = seconds => new Date(start.valueOf() + seconds * 1000);
+
+/**
+ * Utility to evaluate a series of runs of a notification, carrying the streak forward like the worker does.
+ * @param {Object} notification The notification being checked.
+ * @param {Array<[Boolean, Number]>} runs Whether each run met the condition and when it happened, in seconds since the first run.
+ * @returns {Array<FlapState>} The state of each run.
+ */
+const evaluateRuns = (notification, runs) => {
+  let last = notification;
+  return runs.map(([conditionMet, seconds]) => {
+    const state = flaps.evaluate(last, conditionMet, after(seconds));
+    last = { ...notification, runId: seconds, ...state };
+    return state;
+  });
+};
+
+describe('flaps.getPolicy', () => {
+  it('uses the policy of the institution over the default policy', () => {
+    expect(flaps.getPolicy('UOG')).toEqual({ confirmations: 2, minDuration: 0 });
+    expect(flaps.getPolicy('UNKNOWN')).toEqual({ confirmations: 3, minDuration: 120 });
+  });
+});
+
+describe('flaps.evaluate', () => {
+  const notification = {
+    institutionKey: 'UOG',
+    conditionType: CONDITION_TYPE.AVAILABLE,
+    runId: undefined,
+  };
+
+  it('waits for the number of confirmations in a row', () => {
+    const states = evaluateRuns(notification, [
+      [true, 0],
+      [true, 60],
+      [true, 120],
+    ]);
+
+    expect(states.map(({ metCount }) => metCount)).toEqual([1, 2, 3]);
+    expect(states.map(({ confirmed }) => confirmed)).toEqual([false, true, true]);
+    expect(states[2].metSince).toEqual(start);
+  });
+
+  it('starts the streak over once a run does not meet the condition', () => {
+    const states = evaluateRuns(notification, [
+      [true, 0],
+      [false, 60],
+      [true, 120],
+    ]);
+
+    expect(states[1]).toEqual({ metCount: 0, metSince: undefined, confirmed: false });
+    expect(states[2]).toMatchObject({
+      metCount: 1,
+      metSince: after(120),
+      confirmed: false,
+    });
+  });
+
+  it('waits for the minimum duration as well as the confirmations', () => {
+    const states = evaluateRuns({ ...notification, institutionKey: 'UNKNOWN' }, [
+      [true, 0],
+      [true, 30],
+      [true, 60],
+      [true, 120],
+    ]);
+
+    expect(states.map(({ confirmed }) => confirmed)).toEqual([false, false, false, true]);
+  });
+
+  it('always confirms conditions based upon a change', () => {
+    const [state] = evaluateRuns(
+      { ...notification, conditionType: CONDITION_TYPE.CLOSED },
+      [[true, 0]]
+    );
+
+    expect(state).toEqual({ metCount: 1, metSince: start, confirmed: true });
+  });
+});
@@ -0,0 +1,105 @@
+const db = require('./db');
+const config = require('../config');
+
+/**
+ * The result of checking whether the database can be reached.
+ * @typedef {Object} DatabaseCheck
+ * @property {Boolean} ok True when the database responded in time.
+ * @property {Number} latency How long the database took to respond (or fail), in milliseconds.
+ * @property {String} [error] Why the database could not be reached.
+ */
+
+/**
+ * Utility to send the result of a health check, using 503 Service Unavailable when the check failed so the platform can act on it.
+ * @param {Object} res Express response object to send the result through.
+ * @param {Boolean} ok Whether the check passed.
+ * @param {Object} [details={}] Extra fields describing the check.
+ * @returns {undefined}
+ */
+const sendCheck = (res, ok, details = {}) =>
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'unavailable', ...details });
+
+const health = (module.exports = {
+  /**
+   * Checks that the database can be reached through the shared pool, giving up after config.healthCheckTimeout.
+   * Note: The pool waits for a connection indefinitely, so the timeout is needed to answer while the database is down.
+   * @returns {Promise<DatabaseCheck>} Resolves with the result of the check, never rejects.
+   */
+  checkDatabase: async () => {
+    const startedAt = Date.now();
+
+    let timeout = undefined;
+    try {
+      await Promise.race([
+        db.ping(),
+        new Promise((_resolve, reject) => {
+          timeout = setTimeout(
+            () => reject(new Error('Timed out waiting for the database to respond')),
+            config.healthCheckTimeout * 1000
+          );
+        }),
+      ]);
+
+      return { ok: true, latency: Date.now() - startedAt };
+    } catch (err) {
+      return {
+        ok: false,
+        latency: Date.now() - startedAt,
+        error: (err && err.message) || `${err}`,
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  },
+
+  /**
+   * Attaches the health check routes of the web server to an express app instance.
+   * The liveness check (/healthz) only shows that the process is responding, while the readiness check (/readyz) also requires the database.
+   * @param {express} app Express app instance to attach the health check routes too.
+   * @returns {undefined}
+   */
+  routes: app => {
+    app.get('/healthz', (_req, res) =>
+      sendCheck(res, true, { uptime: Math.round(process.uptime()) })
+    );
+
+    app.get('/readyz', async (_req, res) => {
+      const database = await health.checkDatabase();
+      sendCheck(res, database.ok, { database });
+    });
+  },
+
+  /**
+   * Attaches the health check routes of a worker process to an express app instance.
+   * The liveness check (/healthz) fails once the worker has not finished a check within config.workerHeartbeatTimeout,
+   * which means it has been stopped or a check is stuck. The readiness check (/readyz) requires the database.
+   * @param {express} app Express app instance to attach the health check routes too.
+   * @param {Worker} worker The worker running in this process.
+   * @returns {undefined}
+   */
+  workerRoutes: (app, worker) => {
+    app.get('/healthz', (_req, res) => {
+      const { heartbeatAt } = worker;
+      const secondsSinceHeartbeat = heartbeatAt
+        ? Math.max(Math.round((Date.now() - heartbeatAt) / 1000), 0)
+        : null;
+
+      sendCheck(
+        res,
+        secondsSinceHeartbeat !== null &&
+          secondsSinceHeartbeat <= config.workerHeartbeatTimeout,
+        {
+          running: worker.isRunning,
+          executing: worker.isExecuting,
+          heartbeatAt: heartbeatAt || null,
+          secondsSinceHeartbeat,
+        }
+      );
+    });
+
+    app.get('/readyz', async (_req, res) => {
+      const database = await health.checkDatabase();
+      sendCheck(res, database.ok, { database });
+    });
+  },
+});
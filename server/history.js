@@ -0,0 +1,69 @@
+const _ = require('lodash');
+
+/**
+ * A single change in the availability of a section, only recorded when the slots of the section change.
+ * @typedef {Object} AvailabilityChange
+ * @property {String} institutionKey The institution of the course.
+ * @property {String} termKey The term of the course.
+ * @property {String} courseKey The course code of the course.
+ * @property {String} sectionKey The section of the course that changed.
+ * @property {Date} timestamp When the change was first seen.
+ * @property {Number} availableSlots The number of available slots after the change.
+ * @property {Number} totalSlots The total number of slots after the change.
+ */
+
+/**
+ * A period of time that a section had open slots.
+ * @typedef {Object} Opening
+ * @property {String} sectionKey The section that had open slots.
+ * @property {Date} openedAt When the section was first seen with open slots.
+ * @property {(Date|null)} closedAt When the section was first seen without open slots again, null if it is still open.
+ * @property {(Number|null)} duration How long, in seconds, the section stayed open for, null if it is still open.
+ * @property {Number} maxAvailableSlots The most available slots seen while the section was open.
+ */
+
+module.exports = {
+  /**
+   * Converts the availability changes of a course into the periods of time that each section had open slots.
+   * Note: A section that was already open at the first change given is treated as opening at that change.
+   * @param {Array<AvailabilityChange>} changes The changes to convert, may be for many sections and in any order.
+   * @returns {Array<Opening>} The openings of every section, sorted by when they opened.
+   */
+  toOpenings: changes =>
+    _(changes)
+      .groupBy('sectionKey')
+      .flatMap((sectionChanges, sectionKey) =>
+        _.sortBy(sectionChanges, change => change.timestamp.valueOf()).reduce(
+          (openings, { timestamp, availableSlots }) => {
+            const current = _.last(openings);
+            const isOpen = current && current.closedAt === null;
+
+            if (availableSlots > 0 && !isOpen) {
+              // the section just opened up
+              openings.push({
+                sectionKey,
+                openedAt: timestamp,
+                closedAt: null,
+                duration: null,
+                maxAvailableSlots: availableSlots,
+              });
+            } else if (availableSlots > 0) {
+              // the section is still open, possibly with a different number of slots
+              current.maxAvailableSlots = Math.max(
+                current.maxAvailableSlots,
+                availableSlots
+              );
+            } else if (isOpen) {
+              // the section filled back up
+              current.closedAt = timestamp;
+              current.duration = Math.round((timestamp - current.openedAt) / 1000);
+            }
+
+            return openings;
+          },
+          []
+        )
+      )
+      .sortBy(opening => opening.openedAt.valueOf())
+      .value(),
+};
@@ -1,15 +1,19 @@
 const Worker = require('./worker');
 const db = require('./db');
+const metrics = require('./metrics');
+const health = require('./health');
+const logger = require('./logger');
+const verification = require('./verification');
 const config = require('../config');
 
 // handle errors gracefully
-const errorHandler = err => console.error('Uncaught error', err);
+const errorHandler = err => logger.error('Uncaught error', err);
 process.on('unhandledRejection', errorHandler);
 process.on('uncaughtException', errorHandler);
 
 // allow cleanup on shutdown
 const cleanupHandler = () => {
-  console.log('Shutting down Slotty...');
+  logger.info('Shutting down Slotty...');
 
   if (db.isOpen) {
     db.close();
@@ -22,15 +26,21 @@ process.on('exit', () => process.emit('cleanup'));
 process.on('SIGINT', () => process.exit(2));
 
 (async () => {
+  // verification links cannot be signed without a secret in production
+  verification.checkSecret();
+
   // create a new express app
   const app = require('express')();
 
   // register middleware for app
-  app.use(require('morgan')(config.logFormat));
+  app.use(logger.middleware);
   app.use(require('body-parser').json());
   app.use(require('body-parser').urlencoded({ extended: true }));
+  app.use(metrics.middleware);
 
   // register routes for app
+  app.get('/metrics', metrics.handler);
+  health.routes(app);
   require('./docs')(app);
   require('./routes')(app); // need to register routes after any others to allow the catchall index route to function
 
@@ -39,26 +49,26 @@ process.on('SIGINT', () => process.exit(2));
 
   // create and run a task worker if in dev mode
   if (config.isDev) {
-    console.log('Starting the worker...');
-    const worker = new Worker(config.workerInterval * 1000, config.webadvisorApi);
+    logger.info('Starting the worker...');
+    const worker = new Worker(config.workerInterval * 1000);
     worker.start();
   } else {
     // tell the user that they may need to manually start the worker
-    console.log(
+    logger.info(
       'Running in production mode, a separate worker process must be started using yarn worker!'
     );
   }
 
   // determine port and start the server
   app.listen(config.port, () =>
-    console.log(`
-    Slotty is now running on port ${config.port}!
-    Mode: ${config.isDev ? 'dev' : 'prod'}
-    `)
+    logger.info(`Slotty is now running on port ${config.port}!`, {
+      port: config.port,
+      mode: config.isDev ? 'dev' : 'prod',
+    })
   );
 })()
-  .then(() => console.log('Server setup complete!'))
+  .then(() => logger.info('Server setup complete!'))
   .catch(err => {
-    console.error('Encountered a fatal error during setup!\n', err);
+    logger.error('Encountered a fatal error during setup!', err);
     cleanupHandler();
   });
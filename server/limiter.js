@@ -0,0 +1,164 @@
+const config = require('../config');
+
+/**
+ * The limits applied to the upstream calls made for a single institution.
+ * @typedef {Object} UpstreamLimits
+ * @property {Number} concurrency The maximum number of calls in progress at once.
+ * @property {Number} rate The maximum number of calls started per second, 0 for no limit.
+ */
+
+/**
+ * A call waiting for its turn within a limiter.
+ * @typedef {Object} QueuedTask
+ * @property {() => Promise<*>} task The function that makes the call.
+ * @property {Number} priority The priority of the call, lower values are started first.
+ * @property {Function} resolve Resolves the promise returned to the caller.
+ * @property {Function} reject Rejects the promise returned to the caller.
+ */
+
+/**
+ * Limits how many calls are in progress at once and how many are started each second.
+ * Calls that cannot start yet are queued and started in order of priority.
+ * @class
+ */
+class Limiter {
+  /**
+   * The maximum number of calls in progress at once.
+   * @type {Number}
+   */
+  concurrency = 1;
+
+  /**
+   * The maximum number of calls started per second, 0 for no limit.
+   * @type {Number}
+   */
+  rate = 0;
+
+  /**
+   * The calls waiting for their turn, always sorted by priority.
+   * @type {Array<QueuedTask>}
+   */
+  queue = [];
+
+  /**
+   * The number of calls currently in progress.
+   * @type {Number}
+   */
+  active = 0;
+
+  /**
+   * When each call within the last second was started, in milliseconds since the epoch.
+   * @type {Array<Number>}
+   */
+  started = [];
+
+  /**
+   * The timeout used to wait until another call may be started under the rate limit.
+   * @type {(NodeJS.Timeout|undefined)}
+   */
+  timeout = undefined;
+
+  /**
+   * Creates a new limiter.
+   * @param {UpstreamLimits} limits The limits to apply.
+   */
+  constructor({ concurrency, rate }) {
+    this.concurrency = Math.max(concurrency || 1, 1);
+    this.rate = Math.max(rate || 0, 0);
+  }
+
+  /**
+   * Queues a call to be made once the limits allow it.
+   * @param {() => Promise<*>} task The function that makes the call.
+   * @param {Number} [priority=0] The priority of the call, lower values are started first.
+   * @returns {Promise<*>} Resolves or rejects with the result of the call once it has been made.
+   */
+  schedule(task, priority = 0) {
+    return new Promise((resolve, reject) => {
+      const queued = { task, priority, resolve, reject };
+
+      // insert the call after every call with the same or a lower priority, so equal priorities keep their order
+      const idx = this.queue.findIndex(other => other.priority > priority);
+      this.queue.splice(idx === -1 ? this.queue.length : idx, 0, queued);
+
+      this.next();
+    });
+  }
+
+  /**
+   * Starts as many queued calls as the limits allow, waiting to start more if the rate limit has been reached.
+   * @private
+   * @returns {undefined}
+   */
+  next() {
+    while (this.queue.length > 0 && this.active < this.concurrency) {
+      const now = Date.now();
+      this.started = this.started.filter(time => time > now - 1000);
+
+      // wait until the oldest call started leaves the last second
+      if (this.rate > 0 && this.started.length >= this.rate) {
+        if (!this.timeout) {
+          this.timeout = setTimeout(() => {
+            this.timeout = undefined;
+            this.next();
+          }, this.started[0] + 1000 - now);
+        }
+
+        return;
+      }
+
+      const { task, resolve, reject } = this.queue.shift();
+      this.active += 1;
+      this.started.push(now);
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active -= 1;
+          this.next();
+        });
+    }
+  }
+
+  /**
+   * Gets how busy the limiter is.
+   * @returns {{ active: Number, queued: Number }} The number of calls in progress and waiting.
+   */
+  get stats() {
+    return { active: this.active, queued: this.queue.length };
+  }
+}
+
+/**
+ * The limiter of each institution that has made a call, by institution key.
+ * @type {Object<String, Limiter>}
+ */
+const limiters = {};
+
+const limiter = (module.exports = {
+  Limiter,
+
+  /**
+   * Gets the limits applied to the upstream calls of some institution from config.upstreamLimits.
+   * @param {String} institutionKey The institution to get the limits of, institutions that are not listed use the default limits.
+   * @returns {UpstreamLimits} The limits of the institution.
+   */
+  getLimits: institutionKey => ({
+    ...config.upstreamLimits.default,
+    ...config.upstreamLimits[institutionKey],
+  }),
+
+  /**
+   * Gets the shared limiter used for the upstream calls of some institution, creating it when first needed.
+   * @param {String} institutionKey The institution to get the limiter of.
+   * @returns {Limiter} The limiter of the institution.
+   */
+  get: institutionKey => {
+    if (!limiters[institutionKey]) {
+      limiters[institutionKey] = new Limiter(limiter.getLimits(institutionKey));
+    }
+
+    return limiters[institutionKey];
+  },
+});
@@ -0,0 +1,116 @@
+const limiter = require('./limiter');
+const config = require('../config');
+
+const { Limiter } = limiter;
+
+/**
+ * Utility to let pending promise callbacks run, since the fake timers do not run them.
+ * @returns {Promise<undefined>} Resolves once the pending callbacks have run.
+ */
+const flush = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+/**
+ * Utility to create a call that only finishes once told to.
+ * @returns {{ task: Function, finish: Function }} The call and a function that finishes it.
+ */
+const createCall = () => {
+  let finish;
+  const done = new Promise(resolve => (finish = resolve));
+  return { task: jest.fn(() => done), finish: value => finish(value) };
+};
+
+describe('Limiter', () => {
+  let now;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    now = 0;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllTimers();
+  });
+
+  it('never has more calls in progress than its concurrency', async () => {
+    const instance = new Limiter({ concurrency: 2, rate: 0 });
+    const calls = [createCall(), createCall(), createCall()];
+    calls.forEach(({ task }) => instance.schedule(task));
+    await flush();
+
+    expect(instance.stats).toEqual({ active: 2, queued: 1 });
+    expect(calls[2].task).not.toHaveBeenCalled();
+
+    calls[0].finish();
+    await flush();
+    expect(calls[2].task).toHaveBeenCalled();
+    expect(instance.stats).toEqual({ active: 2, queued: 0 });
+  });
+
+  it('starts queued calls in order of priority, keeping the order of equal priorities', async () => {
+    const instance = new Limiter({ concurrency: 1, rate: 0 });
+    const order = [];
+    const blocking = createCall();
+    instance.schedule(blocking.task);
+
+    const results = [
+      ['low', 5],
+      ['first high', 1],
+      ['medium', 3],
+      ['second high', 1],
+    ].map(([name, priority]) =>
+      instance.schedule(() => {
+        order.push(name);
+        return name;
+      }, priority)
+    );
+
+    blocking.finish();
+    await Promise.all(results);
+    expect(order).toEqual(['first high', 'second high', 'medium', 'low']);
+  });
+
+  it('waits to start calls once the rate has been reached', async () => {
+    const instance = new Limiter({ concurrency: 10, rate: 2 });
+    const tasks = [jest.fn(), jest.fn(), jest.fn()];
+    tasks.forEach(task => instance.schedule(task));
+    await flush();
+
+    expect(tasks[2]).not.toHaveBeenCalled();
+    expect(instance.stats.queued).toBe(1);
+
+    now = 999;
+    jest.advanceTimersByTime(999);
+    await flush();
+    expect(tasks[2]).not.toHaveBeenCalled();
+
+    now = 1000;
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(tasks[2]).toHaveBeenCalled();
+  });
+
+  it('passes on the result or error of each call', async () => {
+    const instance = new Limiter({ concurrency: 1, rate: 0 });
+    const error = new Error('Failed');
+
+    await expect(instance.schedule(() => Promise.reject(error))).rejects.toBe(error);
+    await expect(instance.schedule(() => 'result')).resolves.toBe('result');
+    expect(instance.stats).toEqual({ active: 0, queued: 0 });
+  });
+});
+
+describe('limiter.get', () => {
+  it('shares a single limiter for each institution using its limits', () => {
+    const instance = limiter.get('UOG');
+
+    expect(limiter.get('UOG')).toBe(instance);
+    expect(limiter.get('WLU')).not.toBe(instance);
+    expect(limiter.getLimits('UNKNOWN')).toEqual(config.upstreamLimits.default);
+  });
+});
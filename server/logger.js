@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const redact = require('./redact');
+const config = require('../config');
+
+/**
+ * Defines the levels that may be logged at, in order of severity.
+ * @readonly
+ * @enum
+ * @type {Object}
+ */
+const LEVEL = Object.freeze({
+  DEBUG: 'debug',
+  INFO: 'info',
+  WARN: 'warn',
+  ERROR: 'error',
+});
+
+/**
+ * The severity of each level, only entries at or above config.logLevel are written.
+ * @readonly
+ * @type {Object<String, Number>}
+ */
+const severity = Object.freeze({
+  [LEVEL.DEBUG]: 10,
+  [LEVEL.INFO]: 20,
+  [LEVEL.WARN]: 30,
+  [LEVEL.ERROR]: 40,
+});
+
+/**
+ * Holds the fields (e.g. a request ID or cycle ID) that are attached to every entry logged within the current async context.
+ * @type {AsyncLocalStorage<Object>}
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Utility to convert the details passed to the logger into the fields of an entry.
+ * An error may be passed on its own, in which case it is placed under the "error" field.
+ * @param {(Object|Error|*)} details The details to convert.
+ * @returns {Object} The fields to include in the entry.
+ */
+const toFields = details => {
+  if (details === undefined || details === null) {
+    return {};
+  } else if (details instanceof Error) {
+    return { error: redact.serializeError(details) };
+  } else if (typeof details !== 'object' || Array.isArray(details)) {
+    return { details };
+  }
+
+  return details;
+};
+
+/**
+ * Utility to create a JSON replacer that serializes errors and drops circular references instead of throwing.
+ * @returns {Function} A replacer for JSON.stringify(...).
+ */
+const safeReplacer = () => {
+  const seen = new WeakSet();
+  return (_key, value) => {
+    if (value instanceof Error) {
+      return redact.serializeError(value);
+    } else if (typeof value === 'object' && value !== null) {
+      if (seen.has(value)) {
+        return '[Circular]';
+      }
+      seen.add(value);
+    }
+
+    return value;
+  };
+};
+
+/**
+ * Utility to format an entry as a single readable line, used when JSON output is turned off.
+ * @param {Object} entry The entry to format.
+ * @returns {String} The formatted line.
+ */
+const toText = ({ time, level, message, ...fields }) => {
+  const rest = Object.keys(fields).length
+    ? ` ${JSON.stringify(fields, safeReplacer())}`
+    : '';
+  return `${time} ${level.toUpperCase()} ${message}${rest}`;
+};
+
+const logger = (module.exports = {
+  LEVEL,
+
+  /**
+   * Writes a single entry to the log. Warnings and errors are written to stderr, everything else to stdout.
+   * Contacts, access keys, and message contents are masked (see redact.redact(...)) unless config.logSensitive is set in dev mode.
+   * @param {LEVEL} level The level of the entry.
+   * @param {String} message A short description of what happened.
+   * @param {(Object|Error)} [details] Extra fields to include, or an error.
+   * @returns {undefined}
+   */
+  log: (level, message, details) => {
+    if ((severity[level] || 0) < (severity[config.logLevel] || severity[LEVEL.INFO])) {
+      return;
+    }
+
+    let entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...storage.getStore(),
+      ...toFields(details),
+    };
+
+    // mask contacts, access keys, and message contents unless full logging was allowed (only possible in dev mode)
+    // note: the redacted copy keeps the details of any errors, so it is only copied once
+    if (!(config.isDev && config.logSensitive)) {
+      entry = redact.redact(entry);
+    }
+
+    const line = config.logJson ? JSON.stringify(entry, safeReplacer()) : toText(entry);
+
+    const stream =
+      severity[level] >= severity[LEVEL.WARN] ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  },
+
+  /**
+   * Writes a debug entry to the log, see logger.log(...).
+   * @param {String} message A short description of what happened.
+   * @param {(Object|Error)} [details] Extra fields to include, or an error.
+   * @returns {undefined}
+   */
+  debug: (message, details) => logger.log(LEVEL.DEBUG, message, details),
+
+  /**
+   * Writes an info entry to the log, see logger.log(...).
+   * @param {String} message A short description of what happened.
+   * @param {(Object|Error)} [details] Extra fields to include, or an error.
+   * @returns {undefined}
+   */
+  info: (message, details) => logger.log(LEVEL.INFO, message, details),
+
+  /**
+   * Writes a warning entry to the log, see logger.log(...).
+   * @param {String} message A short description of what happened.
+   * @param {(Object|Error)} [details] Extra fields to include, or an error.
+   * @returns {undefined}
+   */
+  warn: (message, details) => logger.log(LEVEL.WARN, message, details),
+
+  /**
+   * Writes an error entry to the log, see logger.log(...).
+   * @param {String} message A short description of what happened.
+   * @param {(Object|Error)} [details] Extra fields to include, or an error.
+   * @returns {undefined}
+   */
+  error: (message, details) => logger.log(LEVEL.ERROR, message, details),
+
+  /**
+   * Runs a function with some fields attached to every entry logged while it runs, including within any async work it starts.
+   * Fields are added to those of the current context, so contexts may be nested.
+   * @param {Object} fields The fields to attach (e.g. { requestId }).
+   * @param {Function} fn The function to run.
+   * @returns {*} The value returned by the function.
+   */
+  run: (fields, fn) => storage.run({ ...storage.getStore(), ...fields }, fn),
+
+  /**
+   * Gets the fields attached to the current context.
+   * @returns {Object} The fields attached by logger.run(...), empty when outside of any context.
+   */
+  context: () => ({ ...storage.getStore() }),
+
+  /**
+   * Generates a new random identifier used to correlate entries (e.g. a request ID or cycle ID).
+   * @returns {String} A random hex identifier.
+   */
+  generateId: () => crypto.randomBytes(8).toString('hex'),
+
+  /**
+   * Express middleware that gives each request a correlation ID and logs the request once it has been responded to.
+   * A valid ID passed in the X-Request-Id header (e.g. by a proxy) is used instead of a new one, and the ID is always sent back in the same header.
+   * The ID is stored as req.id and attached to every entry logged while the request is handled.
+   * @param {Object} req The express request object.
+   * @param {Object} res The express response object.
+   * @param {Function} next Express callback to continue handling the request.
+   * @returns {undefined}
+   */
+  middleware: (req, res, next) => {
+    const header = req.get('X-Request-Id');
+    req.id = header && /^[\w-]{1,64}$/.test(header) ? header : logger.generateId();
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = Date.now();
+    res.on('finish', () =>
+      logger.info('Handled request', {
+        requestId: req.id,
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        duration: Date.now() - startedAt,
+        ip: req.ip,
+      })
+    );
+
+    logger.run({ requestId: req.id }, next);
+  },
+});
@@ -0,0 +1,204 @@
+const _ = require('lodash');
+
+/**
+ * The slots of a single part of a course that a notification is watching, either a whole section or a single meeting.
+ * @typedef {Object} MatchedSlots
+ * @property {String} id The ID of the section or meeting.
+ * @property {Number} available The number of available slots.
+ * @property {Number} capacity The total number of slots.
+ */
+
+/**
+ * Defines how the meeting types of a notification are matched within a section.
+ * @readonly
+ * @enum
+ * @type {Object}
+ */
+const MEETING_MATCH = Object.freeze({
+  /** Any single meeting of the listed types has open slots. */
+  ANY: 'any',
+  /** Every listed meeting type has a meeting with open slots in the same section. */
+  ALL: 'all',
+});
+
+/**
+ * Utility to clean keys so they can be compared.
+ * @param {String} key The key to clean.
+ * @returns {String} The cleaned key.
+ */
+const cleanKey = key => `${key}`.toLowerCase().trim();
+
+/**
+ * Utility to check that some slots entry has usable values.
+ * Entries without any capacity are not usable since glitches may report open slots for them that do not exist.
+ * @param {{ available: Number, capacity: Number }} slots The entry to check.
+ * @returns {Boolean} True when the available value is present and there is some capacity.
+ */
+const hasSlots = ({ available, capacity }) => available != null && capacity > 0;
+
+/**
+ * Utility to check that some user supplied value is a valid list of keys.
+ * @param {*} list The value to check.
+ * @returns {Boolean} True when the value is null, undefined, or a list of non-empty strings.
+ */
+const isList = list =>
+  list == null ||
+  (Array.isArray(list) &&
+    list.every(key => typeof key === 'string' && key.trim().length > 0));
+
+const matching = (module.exports = {
+  MEETING_MATCH,
+
+  /**
+   * Determines the slots of a single section that matter to a notification based upon its meeting types.
+   * When no meeting types are listed, the section's own slots are used.
+   * @param {Notification} notification The notification to match with.
+   * @param {Section} section The section to find the slots of.
+   * @returns {MatchedSlots} The slots for the section, zero slots are used when the meeting types are not found.
+   */
+  sectionSlots: ({ meetingTypes, meetingMatch }, section) => {
+    const { id, available, capacity } = section;
+    if (!meetingTypes || meetingTypes.length <= 0) {
+      // sections without any capacity cannot really have open slots
+      return hasSlots(section)
+        ? { id, available, capacity }
+        : { id, available: 0, capacity: capacity || 0 };
+    }
+
+    // find the meeting with the most available slots for each of the listed types
+    const types = meetingTypes.map(cleanKey);
+    const bestByType = _(section.meetings || [])
+      .filter(meeting => meeting.type && types.includes(cleanKey(meeting.type)))
+      .filter(hasSlots)
+      .groupBy(({ type }) => cleanKey(type))
+      .mapValues(meetings => _.maxBy(meetings, 'available'))
+      .value();
+    const best = _.values(bestByType);
+
+    if (meetingMatch === MEETING_MATCH.ALL) {
+      // every type must exist and the section is limited by the type with the least available slots
+      const limiting = _.minBy(best, 'available');
+      return types.every(type => bestByType[type]) && limiting
+        ? { id, available: limiting.available, capacity: limiting.capacity }
+        : { id, available: 0, capacity: limiting ? limiting.capacity : 0 };
+    } else {
+      const open = _.maxBy(best, 'available');
+      return open
+        ? { id, available: open.available, capacity: open.capacity }
+        : { id, available: 0, capacity: 0 };
+    }
+  },
+
+  /**
+   * Finds the slots of every section (or meeting) that a notification is watching within some course data.
+   * The section key and include list may refer to either a section or a meeting (dependent on institution).
+   * When neither is set, every section of the course is watched. Any sections in the exclude list are never watched.
+   * @param {Notification} notification The notification to match with.
+   * @param {CourseData} data The course data to match against.
+   * @returns {Array<MatchedSlots>} The slots of every part of the course being watched.
+   */
+  match: (notification, data) => {
+    const sections = (data && data.course && data.course.sections) || [];
+    const meetings = sections.flatMap(({ meetings }) => meetings || []).filter(hasSlots);
+    const excluded = (notification.excludeSections || []).map(cleanKey);
+    const included = _.uniq(
+      [notification.sectionKey, ...(notification.includeSections || [])]
+        .filter(key => key && `${key}`.trim().length)
+        .map(cleanKey)
+    );
+
+    // when watching the whole course, every section is used
+    if (included.length <= 0) {
+      return sections
+        .filter(({ id }) => !id || !excluded.includes(cleanKey(id)))
+        .map(section => matching.sectionSlots(notification, section));
+    }
+
+    return _.compact(
+      included
+        .filter(key => !excluded.includes(key))
+        .map(key => {
+          // each key may refer to a specific section
+          const section = sections.find(({ id }) => id && cleanKey(id) === key);
+          if (section) {
+            return matching.sectionSlots(notification, section);
+          }
+
+          // otherwise, the key may refer to a specific meeting (identified by its name when it has no ID)
+          const meeting = meetings.find(
+            ({ id, name }) => (id || name) && cleanKey(id || name) === key
+          );
+          return (
+            meeting && {
+              id: meeting.id || meeting.name,
+              available: meeting.available,
+              capacity: meeting.capacity,
+            }
+          );
+        })
+    );
+  },
+
+  /**
+   * Computes the slot event for a notification from some course data.
+   * @param {Notification} notification The notification to compute the event for.
+   * @param {CourseData} data The course data to compute the event from.
+   * @returns {SlotEvent} The event containing the slot counts for the notification.
+   */
+  computeEvent: (notification, data) => {
+    const matched = matching.match(notification, data);
+
+    // the event reports the single section with the most available slots
+    const best = matched.reduce(
+      (max, slots) => (slots.available > max.available ? slots : max),
+      { available: 0, capacity: matched.length === 1 ? matched[0].capacity : 0 }
+    );
+
+    return {
+      availableSlots: best.available,
+      totalSlots: best.capacity,
+      sections: matched.map(({ id }) => id),
+      openSections: matched.filter(({ available }) => available > 0).map(({ id }) => id),
+      // also sum the slots of all sections so changes to the whole course can be detected
+      combined: {
+        availableSlots: _.sumBy(matched, 'available') || 0,
+        totalSlots: _.sumBy(matched, 'capacity') || 0,
+      },
+    };
+  },
+
+  /**
+   * Validates the matching fields (meeting types and section lists) that were supplied by a user.
+   * Any value may be undefined, in which case it is not checked. Null lists are valid and clear the list.
+   * @param {Object} fields The matching fields to validate, usually the notification (or notification changes) itself.
+   * @param {(Array<String>|null|undefined)} fields.meetingTypes The list of meeting types to validate.
+   * @param {(String|undefined)} fields.meetingMatch The meeting match value to validate.
+   * @param {(Array<String>|null|undefined)} fields.includeSections The list of sections to watch.
+   * @param {(Array<String>|null|undefined)} fields.excludeSections The list of sections to never watch.
+   * @returns {(String|undefined)} A message describing the problem or undefined if the fields are valid.
+   */
+  validate: ({ meetingTypes, meetingMatch, includeSections, excludeSections }) => {
+    if (!isList(meetingTypes)) {
+      return 'The meeting types must be a list of non-empty strings (e.g. ["LEC", "LAB"])';
+    } else if (
+      meetingMatch !== undefined &&
+      !Object.values(MEETING_MATCH).includes(meetingMatch)
+    ) {
+      return `The meeting match must be one of: ${Object.values(MEETING_MATCH).join(
+        ', '
+      )}`;
+    } else if (!isList(includeSections) || !isList(excludeSections)) {
+      return 'The included and excluded sections must be lists of non-empty strings (e.g. ["0101", "0103"])';
+    }
+
+    // the same section cannot be both included and excluded
+    const overlap = _.intersectionBy(includeSections, excludeSections, cleanKey);
+    if (overlap.length > 0) {
+      return `The following sections cannot be both included and excluded: ${overlap.join(
+        ', '
+      )}`;
+    }
+
+    return undefined;
+  },
+});
@@ -0,0 +1,167 @@
+const client = require('prom-client');
+const db = require('./db');
+const logger = require('./logger');
+
+/**
+ * The registry that every Slotty metric is registered with.
+ * Each process (the web server and any worker processes) has its own registry and only reports the metrics it recorded.
+ * @type {client.Registry}
+ */
+const register = new client.Registry();
+
+// include the standard process metrics (memory, cpu, event loop lag, etc.)
+client.collectDefaultMetrics({ register, prefix: 'slotty_' });
+
+/**
+ * Utility to find the route that handled a request, so requests for the same route share labels.
+ * Requests that no route handled (e.g. static files) are grouped together to keep the number of labels small.
+ * @param {Object} req The express request object.
+ * @returns {String} The path of the route that handled the request.
+ */
+const getRoute = req => (req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched');
+
+const httpRequests = new client.Counter({
+  name: 'slotty_http_requests_total',
+  help: 'The number of HTTP requests handled, by route and status.',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'slotty_http_request_duration_seconds',
+  help: 'The time taken to respond to HTTP requests, by route and status.',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const workerCycleDuration = new client.Histogram({
+  name: 'slotty_worker_cycle_duration_seconds',
+  help: 'The time taken by each worker cycle, by whether the cycle succeeded.',
+  labelNames: ['succeeded'],
+  buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300],
+  registers: [register],
+});
+
+const upstreamLookupDuration = new client.Histogram({
+  name: 'slotty_upstream_lookup_duration_seconds',
+  help:
+    'The time taken by course lookups made to the data source, by institution. Lookups answered by the course cache are not included.',
+  labelNames: ['institution'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+const upstreamLookupErrors = new client.Counter({
+  name: 'slotty_upstream_lookup_errors_total',
+  help:
+    'The number of course lookups made to the data source that failed, by institution.',
+  labelNames: ['institution'],
+  registers: [register],
+});
+
+const messagesSent = new client.Counter({
+  name: 'slotty_messages_sent_total',
+  help: 'The number of messages sent, by contact type.',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+const messageFailures = new client.Counter({
+  name: 'slotty_message_failures_total',
+  help: 'The number of messages that failed to send, by contact type.',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+// the active notifications are counted from the database when scraped so the value is never stale
+new client.Gauge({
+  name: 'slotty_active_notifications',
+  help: 'The number of enabled notifications that have not expired.',
+  registers: [register],
+  async collect() {
+    if (!db.isOpen) {
+      return;
+    }
+
+    try {
+      this.set(await db.countActiveNotifications());
+    } catch (err) {
+      logger.error('Encountered error while counting active notifications', err);
+    }
+  },
+});
+
+module.exports = {
+  register,
+
+  /**
+   * Express middleware that records the count and duration of every request once it has been responded to.
+   * @param {Object} req The express request object.
+   * @param {Object} res The express response object.
+   * @param {Function} next Express callback to continue handling the request.
+   * @returns {undefined}
+   */
+  middleware: (req, res, next) => {
+    const end = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+      const labels = { method: req.method, route: getRoute(req), status: res.statusCode };
+      httpRequests.inc(labels);
+      end(labels);
+    });
+
+    next();
+  },
+
+  /**
+   * Express handler that responds with every metric in the Prometheus text format.
+   * @param {Object} _req Unused in handler from express.
+   * @param {Object} res The express response object.
+   * @param {Function} next Express callback to pass any errors to.
+   * @returns {Promise<undefined>} Resolves once the metrics have been sent.
+   */
+  handler: async (_req, res, next) => {
+    try {
+      res.set('Content-Type', register.contentType);
+      res.end(await register.metrics());
+    } catch (err) {
+      next(err);
+    }
+  },
+
+  /**
+   * Records the duration of a single worker cycle.
+   * @param {Number} duration How long the cycle took, in milliseconds.
+   * @param {Boolean} succeeded Whether the cycle finished without an error stopping it.
+   * @returns {undefined}
+   */
+  recordCycle: (duration, succeeded) =>
+    workerCycleDuration.observe({ succeeded: `${!!succeeded}` }, duration / 1000),
+
+  /**
+   * Records the duration of a course lookup made to the data source and whether it failed.
+   * @param {String} institutionKey The institution the course was looked up at.
+   * @param {() => Promise<*>} lookup The function that makes the lookup.
+   * @returns {Promise<*>} Resolves or rejects with the result of the lookup.
+   */
+  timeLookup: async (institutionKey, lookup) => {
+    const end = upstreamLookupDuration.startTimer({ institution: institutionKey });
+    try {
+      return await lookup();
+    } catch (err) {
+      upstreamLookupErrors.inc({ institution: institutionKey });
+      throw err;
+    } finally {
+      end();
+    }
+  },
+
+  /**
+   * Records a message that was sent, or that failed to send.
+   * @param {String} type The contact type used for the message (see Notifier.CONTACT_TYPE).
+   * @param {Boolean} succeeded Whether the message was sent.
+   * @returns {undefined}
+   */
+  recordMessage: (type, succeeded) =>
+    (succeeded ? messagesSent : messageFailures).inc({ type }),
+};
@@ -0,0 +1,217 @@
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * A single change to apply to the mock course data.
+ * If no section is given, the change applies to every section of the course.
+ * If a meeting is given, the change applies only to the meeting with that name or type.
+ * @typedef {Object} MockChange
+ * @property {String} institution The institution key of the course to change (e.g. UOG).
+ * @property {String} term The term key of the course to change (e.g. F22).
+ * @property {String} course The course code of the course to change (e.g. CIS*1500).
+ * @property {String} [section] The section ID to change.
+ * @property {String} [meeting] The name or type of the meeting to change within the section.
+ * @property {Number} [available] The new number of available slots.
+ * @property {Number} [capacity] The new total number of slots.
+ */
+
+/**
+ * A scheduled change to the mock course data.
+ * @typedef {Object} MockStep
+ * @mixes MockChange
+ * @property {Number} after The number of seconds after the schedule starts that this change should be applied.
+ */
+
+/**
+ * A fixture file containing the initial state of the courses for an institution and term.
+ * @typedef {Object} MockFixture
+ * @property {String} institution The institution key that all courses in this fixture belong to.
+ * @property {String} term The term key that all courses in this fixture belong to.
+ * @property {Object<String, { sections: Array<Section> }>} courses The courses in this fixture keyed by course code.
+ * @property {{ steps: Array<MockStep>, repeat: Boolean }} [schedule] An optional schedule to start when this fixture is loaded.
+ */
+
+/**
+ * Generates the key used to store a course in the mock state.
+ * @param {String} institution The institution key of the course.
+ * @param {String} term The term key of the course.
+ * @param {String} course The course code of the course.
+ * @returns {String} The key for the course, keys are case insensitive.
+ */
+const courseKey = (institution, term, course) =>
+  [institution, term, course].map(key => `${key}`.trim().toUpperCase()).join('/');
+
+/**
+ * Holds the scriptable state of the mock webadvisor-api service.
+ * Courses are seeded from fixture files and may then be changed directly or through a schedule of changes.
+ * @class
+ */
+class MockCourses {
+  /**
+   * The directory that fixture files are loaded from.
+   * @type {String}
+   */
+  fixturesDir = '';
+
+  /**
+   * All courses currently known to the mock, keyed by institution, term, and course code.
+   * @type {Object<String, { code: String, sections: Array<Section> }>}
+   */
+  courses = {};
+
+  /**
+   * The IDs of all timeouts used by the currently running schedule.
+   * @type {Array<Number>}
+   */
+  timeouts = [];
+
+  /**
+   * Creates a new mock course state and loads all fixtures from the given directory.
+   * @param {String} fixturesDir The directory to load JSON fixture files from.
+   */
+  constructor(fixturesDir) {
+    this.fixturesDir = fixturesDir;
+    this.reset();
+  }
+
+  /**
+   * Clears any running schedule and reloads the course data from the fixture files.
+   * Any schedules that are included in fixture files will be combined and started again.
+   * This method returns the instance and thus can be chained.
+   * @returns {this} This instance for chaining.
+   */
+  reset() {
+    this.clearSchedule();
+    this.courses = {};
+
+    // schedules from every fixture are combined and started together
+    const steps = [];
+    let repeat = false;
+
+    fs.readdirSync(this.fixturesDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.fixturesDir, file), 'utf8')))
+      .forEach(({ institution, term, courses = {}, schedule }) => {
+        _.forEach(courses, (course, code) => {
+          this.courses[courseKey(institution, term, code)] = {
+            code,
+            sections: _.cloneDeep(course.sections || []),
+          };
+        });
+
+        if (schedule) {
+          steps.push(
+            ...(schedule.steps || []).map(step => ({ institution, term, ...step }))
+          );
+          repeat = repeat || !!schedule.repeat;
+        }
+      });
+
+    if (steps.length > 0) {
+      this.schedule(steps, repeat);
+    }
+
+    return this;
+  }
+
+  /**
+   * Gets the current data for a course.
+   * @param {String} institution The institution key of the course.
+   * @param {String} term The term key of the course.
+   * @param {String} course The course code of the course.
+   * @returns {({ code: String, sections: Array<Section> }|null)} The course or null if no such course exists.
+   */
+  get(institution, term, course) {
+    return this.courses[courseKey(institution, term, course)] || null;
+  }
+
+  /**
+   * Applies a single change to the course data.
+   * @throws {Error} If the course, section, or meeting referenced does not exist.
+   * @param {MockChange} change The change to apply.
+   * @returns {{ code: String, sections: Array<Section> }} The course after the change was applied.
+   */
+  apply({ institution, term, course, section, meeting, available, capacity }) {
+    const data = this.get(institution, term, course);
+    if (!data) {
+      throw new Error(`No course exists for ${institution} - ${course} - ${term}`);
+    }
+
+    // find all sections, and then meetings if needed, that are being changed
+    let targets = data.sections.filter(({ id }) => !section || id === section);
+    if (meeting) {
+      targets = targets
+        .flatMap(({ meetings }) => meetings || [])
+        .filter(({ name, type }) => name === meeting || type === meeting);
+    }
+
+    if (targets.length <= 0) {
+      throw new Error(`No matching section or meeting found in ${course}`);
+    }
+
+    // apply the new values to each target
+    targets.forEach(target => {
+      if (capacity !== undefined) {
+        target.capacity = capacity;
+      }
+      if (available !== undefined) {
+        target.available = available;
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Starts a new schedule of changes, any running schedule is stopped first.
+   * Changes that fail to apply are logged and skipped.
+   * This method returns the instance and thus can be chained.
+   * @param {Array<MockStep>} steps The changes to apply and when to apply them.
+   * @param {Boolean} [repeat=false] Set to true to restart the schedule once its last step has been applied.
+   * @returns {this} This instance for chaining.
+   */
+  schedule(steps = [], repeat = false) {
+    this.clearSchedule();
+
+    const run = () => {
+      // any previous timeouts have already fired by the time the schedule repeats
+      this.timeouts = [];
+
+      steps.forEach(({ after = 0, ...change }) =>
+        this.timeouts.push(
+          setTimeout(() => {
+            try {
+              this.apply(change);
+              console.log('Applied scheduled change', change);
+            } catch (err) {
+              console.error('Unable to apply scheduled change', change, err.message);
+            }
+          }, after * 1000)
+        )
+      );
+
+      if (repeat && steps.length > 0) {
+        const duration = _.max(steps.map(({ after = 0 }) => after));
+        this.timeouts.push(setTimeout(run, (duration + 1) * 1000));
+      }
+    };
+    run();
+
+    return this;
+  }
+
+  /**
+   * Stops the currently running schedule, changes that have already been applied are kept.
+   * This method returns the instance and thus can be chained.
+   * @returns {this} This instance for chaining.
+   */
+  clearSchedule() {
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts = [];
+
+    return this;
+  }
+}
+
+module.exports = MockCourses;
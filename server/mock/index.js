@@ -0,0 +1,116 @@
+const path = require('path');
+const express = require('express');
+const { buildSchema, graphql } = require('graphql');
+const MockCourses = require('./courses');
+const config = require('../../config');
+
+/**
+ * Defines the subset of the webadvisor-api GraphQL schema that Slotty relies upon.
+ * The School and Term types are scalars so any institution or term found in the fixtures can be queried.
+ * @type {GraphQLSchema}
+ */
+const schema = buildSchema(`
+  scalar School
+  scalar Term
+
+  type Meeting {
+    type: String
+    name: String
+    available: Int
+    capacity: Int
+  }
+
+  type Section {
+    id: String
+    available: Int
+    capacity: Int
+    meetings: [Meeting]
+  }
+
+  type Course {
+    code: String
+    sections: [Section]
+  }
+
+  type Query {
+    course(code: String!, institution: School!, term: Term!): Course
+  }
+`);
+
+// handle errors gracefully
+const errorHandler = err => console.error('Uncaught error', err);
+process.on('unhandledRejection', errorHandler);
+process.on('uncaughtException', errorHandler);
+
+// load the initial course state from the fixtures
+const courses = new MockCourses(path.resolve(config.mockApiFixtures));
+
+/**
+ * Defines the resolvers used to answer queries against the schema.
+ * @type {Object}
+ */
+const rootValue = {
+  course: ({ code, institution, term }) => courses.get(institution, term, code),
+};
+
+// create a new express app
+const app = express();
+app.use(require('morgan')(config.logFormat));
+app.use(require('body-parser').json());
+
+// answer GraphQL queries in the same way webadvisor-api does
+app.post('/graphql', (req, res) => {
+  const { query, variables, operationName } = req.body || {};
+
+  graphql({
+    schema,
+    rootValue,
+    source: query,
+    variableValues: variables,
+    operationName,
+  }).then(result => res.status(result.errors ? 400 : 200).json(result));
+});
+
+// list the current state of all courses
+app.get('/control/courses', (_req, res) => res.json(courses.courses));
+
+// change the slots of a course, section, or meeting right away
+app.put('/control/courses/:institution/:term/:course/:section?', (req, res) => {
+  try {
+    res.json(courses.apply({ ...req.body, ...req.params }));
+  } catch (err) {
+    res.status(404).json({ status: 404, message: err.message });
+  }
+});
+
+// start a new schedule of changes, replacing any running schedule
+app.post('/control/schedule', (req, res) => {
+  const { steps, repeat } = req.body || {};
+
+  if (!Array.isArray(steps)) {
+    return res.status(400).json({ status: 400, message: 'A list of steps is required' });
+  }
+
+  courses.schedule(steps, repeat);
+  res.json({ steps: steps.length, repeat: !!repeat });
+});
+
+// stop the running schedule
+app.delete('/control/schedule', (_req, res) => {
+  courses.clearSchedule();
+  res.status(204).end();
+});
+
+// reload all courses (and schedules) from the fixtures
+app.post('/control/reset', (_req, res) => {
+  courses.reset();
+  res.json(courses.courses);
+});
+
+app.listen(config.mockApiPort, () =>
+  console.log(`
+    Mock webadvisor-api is now running on port ${config.mockApiPort}!
+    GraphQL: http://localhost:${config.mockApiPort}/graphql
+    Control: http://localhost:${config.mockApiPort}/control/courses
+    `)
+);
@@ -1,4 +1,9 @@
+const nodemailer = require('nodemailer');
 const config = require('../config');
+const conditions = require('./conditions');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const verification = require('./verification');
 
 /**
  * Singleton class that allows messages to be sent through a variety of means.
@@ -25,9 +30,26 @@ class Notifier {
    */
   MESSAGE_TYPE = {
     NOTIFICATION: config.notificationMessageTemplate,
+    REMINDER: config.reminderMessageTemplate,
     VERIFICATION: config.verificationMessageTemplate,
     VERIFIED: config.verifiedMessageTemplate,
     NOT_VERIFIED: config.notVerifiedMessageTemplate,
+    EXPIRED: config.expiredMessageTemplate,
+  };
+
+  /**
+   * Defines the subject and body templates used in place of each base message when sending by email.
+   * Each key matches the key of the same message in Notifier.MESSAGE_TYPE.
+   * @readonly
+   * @enum
+   * @type {Object<String, { subject: String, body: String }>}
+   */
+  EMAIL_MESSAGE_TYPE = {
+    NOTIFICATION: config.emailTemplates.notification,
+    REMINDER: config.emailTemplates.reminder,
+    VERIFICATION: config.emailTemplates.verification,
+    VERIFIED: config.emailTemplates.verified,
+    EXPIRED: config.emailTemplates.expired,
   };
 
   /**
@@ -44,15 +66,45 @@ class Notifier {
    */
   twilio = null;
 
+  /**
+   * Contains a nodemailer transport used to send emails through the configured SMTP server.
+   * @type {Object}
+   */
+  mailer = null;
+
+  /**
+   * The address that emails are sent from.
+   * @type {String}
+   */
+  emailFrom = '';
+
   /**
    * Creates a new notifier instance with the given options.
+   * Note: Neither client connects until the first message is sent.
    * @param {Object} twilio Object containing Twilio specific options.
    * @param {String} twilio.accountSid The account SID value for Twilio.
    * @param {String} twilio.authToken The auth token value for Twilio.
    * @param {Object} twilio.clientOptions Any client options to pass to the Twilio client constructor.
+   * @param {Object} email Object containing the SMTP server options.
+   * @param {String} email.host The host of the SMTP server.
+   * @param {Number} email.port The port of the SMTP server.
+   * @param {Boolean} email.secure Whether to connect using TLS from the start, otherwise STARTTLS is used when offered.
+   * @param {String} email.user The user to authenticate as, leave empty to not authenticate.
+   * @param {String} email.pass The password to authenticate with.
+   * @param {String} email.from The address emails are sent from.
    */
-  constructor({ accountSid, authToken, clientOptions }) {
+  constructor(
+    { accountSid, authToken, clientOptions },
+    { host, port, secure, user, pass, from }
+  ) {
     this.twilio = require('twilio')(accountSid, authToken, clientOptions);
+    this.mailer = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+    this.emailFrom = from;
   }
 
   /**
@@ -76,18 +128,40 @@ class Notifier {
       (msg, key) =>
         msg.replace(
           new RegExp(`\\${key}`, 'ig'),
-          allVariables[key] || this.FALLBACK_VARIABLE_VALUE
+          allVariables[key] || allVariables[key] === 0
+            ? allVariables[key]
+            : this.FALLBACK_VARIABLE_VALUE
         ), // need to escape the '$' of the variable
       messageType
     );
   }
 
+  /**
+   * Formats the message of some type in the way that suits the contact type it will be sent with.
+   * Emails use the subject and body templates from Notifier.EMAIL_MESSAGE_TYPE, everything else uses the single template from Notifier.MESSAGE_TYPE.
+   * @param {String} messageKey The key of the message type to format (e.g. "NOTIFICATION").
+   * @param {CONTACT_TYPE} contactType The contact type the message will be sent with.
+   * @param {Object} variables Object containing all variables and what they should be replaced with, see formatMessage(...).
+   * @returns {(String|{ subject: String, body: String })} The formatted message, ready to pass to sendMessage(...).
+   */
+  composeMessage(messageKey, contactType, variables = {}) {
+    if (contactType === this.CONTACT_TYPE.EMAIL && this.EMAIL_MESSAGE_TYPE[messageKey]) {
+      const { subject, body } = this.EMAIL_MESSAGE_TYPE[messageKey];
+      return {
+        subject: this.formatMessage(subject, variables),
+        body: this.formatMessage(body, variables),
+      };
+    }
+
+    return this.formatMessage(this.MESSAGE_TYPE[messageKey], variables);
+  }
+
   /**
    * Smart notification sending. Handles contact type determination and formatting as well as message formatting.
    * Call with a notification and associated event data to trigger a message to be sent if possible.
    * @throws
    * @param {Object} notification A notification object from the database.
-   * @param {{ totalSlots: Number, availableSlots: Number }} event Object containing all fields related to the event in question.
+   * @param {SlotEvent} event Object containing all fields related to the event in question.
    * @returns {Promise<Object>} Resolves if notification sent successfully with API result data or rejects with an error.
    */
   async sendNotification(notification, event = {}) {
@@ -105,19 +179,79 @@ class Notifier {
     }
 
     // build the notification message
-    const message = this.formatMessage(this.MESSAGE_TYPE.NOTIFICATION, {
-      $availableSlots: event.availableSlots,
-      $totalSlots: event.totalSlots,
+    const message = this.composeMessage(
+      'NOTIFICATION',
+      contactInfo.type,
+      this.getEventVariables(notification, event)
+    );
+
+    // send the notification
+    return this.sendMessage(contactInfo.type, contactInfo.destination, message);
+  }
+
+  /**
+   * Smart reminder sending. Handles contact type determination and formatting as well as message formatting.
+   * Call with a notification whose condition is still met after a notification was sent to remind the user.
+   * @throws
+   * @param {Object} notification A notification object from the database.
+   * @param {SlotEvent} event Object containing all fields related to the event in question.
+   * @param {Number} reminder The number of this reminder (e.g. 1 for the first reminder).
+   * @returns {Promise<Object>} Resolves if reminder sent successfully with API result data or rejects with an error.
+   */
+  async sendReminder(notification, event = {}, reminder = 1) {
+    // ensure that params are sufficient
+    if (!notification || !notification.contact) {
+      throw new Error('Notification object must be present and contain a contact value');
+    }
+
+    // determine the correct contact method if available
+    const contactInfo = this.getContactInfo(notification.contact);
+    if (contactInfo.type === this.CONTACT_TYPE.UNKNOWN) {
+      throw new Error('Unknown contact type for reminder, unable to send reminder');
+    }
+
+    // build the reminder message
+    const message = this.composeMessage('REMINDER', contactInfo.type, {
+      ...this.getEventVariables(notification, event),
+      $reminderCount: reminder,
+      $reminderLimit: notification.reminderLimit,
+    });
+
+    // send the reminder
+    return this.sendMessage(contactInfo.type, contactInfo.destination, message);
+  }
+
+  /**
+   * Builds the variables used to format messages about a slot event for some notification.
+   * @param {Object} notification A notification object from the database.
+   * @param {SlotEvent} event Object containing all fields related to the event in question.
+   * @returns {Object} The variables to pass to formatMessage(...).
+   */
+  getEventVariables(notification, event = {}) {
+    // conditions based upon a change are triggered by the combined slots so report those instead
+    const slots =
+      conditions.isChange(notification.conditionType) && event.combined
+        ? event.combined
+        : event;
+
+    // name the watched sections that opened, or every watched section if none are open (e.g. once closed)
+    const sections =
+      event.openSections && event.openSections.length
+        ? event.openSections
+        : event.sections || [];
+
+    return {
+      $availableSlots: slots.availableSlots,
+      $totalSlots: slots.totalSlots,
+      $condition: conditions.describe(notification),
       $accessKey: notification.accessKey,
       $institutionKey: notification.institutionKey,
       $courseKey: notification.courseKey,
       $sectionKey: notification.sectionKey,
+      $sections: sections.join(', '),
       $termKey: notification.termKey,
       $contact: notification.contact,
-    });
-
-    // send the notification
-    return this.sendMessage(contactInfo.type, contactInfo.destination, message);
+    };
   }
 
   /**
@@ -145,17 +279,58 @@ class Notifier {
       );
     }
 
-    // build the notification message
-    const message = this.formatMessage(this.MESSAGE_TYPE.VERIFICATION, {
+    // build the notification message, emails are verified by following a link instead of replying
+    const message = this.composeMessage('VERIFICATION', contactInfo.type, {
       $action: action,
       $accessKey: notification.accessKey,
       $contact: notification.contact,
+      $verifyUrl:
+        contactInfo.type === this.CONTACT_TYPE.EMAIL
+          ? verification.createUrl(notification)
+          : undefined,
     });
 
     // send the notification
     return this.sendMessage(contactInfo.type, contactInfo.destination, message);
   }
 
+  /**
+   * Smart expired message sending. Handles contact type determination and formatting as well as message formatting.
+   * Call with a notification that has expired to let the user know it will no longer be checked.
+   * @throws
+   * @param {Object} notification A notification object from the database.
+   * @returns {Promise<Object>} Resolves if expired message sent successfully with API result data or rejects with an error.
+   */
+  async sendExpired(notification) {
+    // ensure that params are sufficient
+    if (!notification || !notification.contact) {
+      throw new Error('Notification object must be present and contain a contact value');
+    } else if (!notification.verified) {
+      // never send messages to contacts that have not been verified
+      return;
+    }
+
+    // determine the correct contact method if available
+    const contactInfo = this.getContactInfo(notification.contact);
+    if (contactInfo.type === this.CONTACT_TYPE.UNKNOWN) {
+      throw new Error('Unknown contact type for expired message, unable to send message');
+    }
+
+    // build the expired message
+    const message = this.composeMessage('EXPIRED', contactInfo.type, {
+      $accessKey: notification.accessKey,
+      $institutionKey: notification.institutionKey,
+      $courseKey: notification.courseKey,
+      $sectionKey: notification.sectionKey,
+      $termKey: notification.termKey,
+      $expiresAt: notification.expiresAt && notification.expiresAt.toUTCString(),
+      $contact: notification.contact,
+    });
+
+    // send the expired message
+    return this.sendMessage(contactInfo.type, contactInfo.destination, message);
+  }
+
   /**
    * Smart verified message sending. Handles contact type determination and formatting as well as message formatting.
    * @throws
@@ -178,7 +353,7 @@ class Notifier {
     }
 
     // build the verified message
-    const message = this.formatMessage(this.MESSAGE_TYPE.VERIFIED, {
+    const message = this.composeMessage('VERIFIED', contactInfo.type, {
       $accessKey: accessKey,
       $contact: contact,
     });
@@ -198,7 +373,11 @@ class Notifier {
   async sendMessage(type, destination, message) {
     // ensure we have valid input
     if (!type || !destination || !message) {
-      console.log({ type, destination, message });
+      logger.error('Unable to send a message without a type, destination, and message', {
+        type,
+        destination,
+        hasMessage: !!message,
+      });
       throw new Error('Type, destination, and message must all have valid values');
     }
 
@@ -214,7 +393,7 @@ class Notifier {
       throw new Error('Message is not of the correct type, see documentation');
     }
 
-    console.log('Sending message...', { type, destination, subject, body });
+    logger.info('Sending message...', { type, destination, subject, body });
 
     // actually send the message depending on the type
     switch (type) {
@@ -234,9 +413,39 @@ class Notifier {
               // pass data back if no error
               return msg;
             }
-          });
+          })
+          .then(
+            msg => {
+              metrics.recordMessage(type, true);
+              logger.info('Sent message', { type, destination, sid: msg && msg.sid });
+              return msg;
+            },
+            err => {
+              metrics.recordMessage(type, false);
+              logger.error('Failed to send message', { type, destination, error: err });
+              throw err;
+            }
+          );
       case this.CONTACT_TYPE.EMAIL:
-        throw new Error('Email type is not currently implemented');
+        // use the SMTP transport to send a plain text email
+        return this.mailer
+          .sendMail({ from: this.emailFrom, to: destination, subject, text: body })
+          .then(
+            info => {
+              metrics.recordMessage(type, true);
+              logger.info('Sent message', {
+                type,
+                destination,
+                messageId: info.messageId,
+              });
+              return info;
+            },
+            err => {
+              metrics.recordMessage(type, false);
+              logger.error('Failed to send message', { type, destination, error: err });
+              throw err;
+            }
+          );
       default:
         throw new Error('Unknown CONTACT_TYPE, unable to send message');
     }
@@ -274,7 +483,7 @@ class Notifier {
  * Instance of Notifier. Only this single instance should be constructed.
  * @type {Notifier}
  */
-const notifier = new Notifier(config.twilio);
+const notifier = new Notifier(config.twilio, config.email);
 
 // export the singleton instance created above
 module.exports = notifier;
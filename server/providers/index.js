@@ -0,0 +1,104 @@
+const config = require('../../config');
+const Provider = require('./provider');
+const WebAdvisorProvider = require('./webadvisor');
+
+/**
+ * Function that creates a new provider instance when called.
+ * @callback providerFactory
+ * @returns {Provider} A new provider instance.
+ */
+
+/**
+ * Keeps track of all available course-data providers and which provider should be used for each institution.
+ * Providers are created lazily the first time they are needed and then reused.
+ * @class
+ */
+class ProviderRegistry {
+  /**
+   * Mapping from the name of a provider type to a factory that creates it.
+   * @type {Object<String, providerFactory>}
+   */
+  types = {};
+
+  /**
+   * Mapping from the name of a provider type to the instance created for it.
+   * @type {Object<String, Provider>}
+   */
+  instances = {};
+
+  /**
+   * Mapping from an institution key to the name of the provider used for it.
+   * The special key "default" is used for any institution that is not listed.
+   * @type {Object<String, String>}
+   */
+  institutions = {};
+
+  /**
+   * Creates a new provider registry.
+   * @param {Object<String, String>} [institutions={}] Initial mapping of institution keys to provider names.
+   */
+  constructor(institutions = {}) {
+    this.institutions = { ...institutions };
+  }
+
+  /**
+   * Defines a new type of provider that may be used by institutions.
+   * This method returns the registry and thus can be chained.
+   * @param {String} name The name used to reference this type of provider.
+   * @param {providerFactory} factory Function used to create the provider when it is first needed.
+   * @returns {this} This registry for chaining.
+   */
+  define(name, factory) {
+    this.types[name] = factory;
+    delete this.instances[name];
+
+    return this;
+  }
+
+  /**
+   * Sets which provider an institution should use, overriding the configured value.
+   * This method returns the registry and thus can be chained.
+   * @param {String} institutionKey The institution to set the provider of, use "default" to set the fallback provider.
+   * @param {String} name The name of a provider type defined through define(...).
+   * @returns {this} This registry for chaining.
+   */
+  register(institutionKey, name) {
+    this.institutions[institutionKey] = name;
+
+    return this;
+  }
+
+  /**
+   * Gets the provider that should be used to lookup courses for a given institution.
+   * @throws {Error} If the provider configured for the institution has not been defined.
+   * @param {String} institutionKey The institution that courses will be looked up for.
+   * @returns {Provider} The provider instance for the institution.
+   */
+  get(institutionKey) {
+    const name = this.institutions[institutionKey] || this.institutions.default;
+
+    if (!this.instances[name]) {
+      if (!this.types[name]) {
+        throw new Error(`No provider named "${name}" exists for ${institutionKey}`);
+      }
+
+      this.instances[name] = this.types[name]();
+    }
+
+    return this.instances[name];
+  }
+}
+
+/**
+ * The shared provider registry, setup with the built-in providers and the mapping from config.dataProviders.
+ * @type {ProviderRegistry}
+ */
+const providers = new ProviderRegistry(config.dataProviders).define(
+  'webadvisor',
+  () => new WebAdvisorProvider(config.webadvisorApi, config.upstreamTimeout)
+);
+
+// export the shared registry along with the classes so new providers and registries can be created
+module.exports = providers;
+module.exports.ProviderRegistry = ProviderRegistry;
+module.exports.Provider = Provider;
@@ -0,0 +1,54 @@
+/**
+ * A single meeting (lecture, lab, seminar, etc) belonging to a section of a course.
+ * @typedef {Object} Meeting
+ * @property {String} type The type of meeting (e.g. LEC, LAB, SEM).
+ * @property {String} name The name or identifier of this meeting, for some institutions this is used as the meeting key.
+ * @property {(Number|null)} available The number of currently available slots in this meeting.
+ * @property {(Number|null)} capacity The total number of slots in this meeting.
+ */
+
+/**
+ * A single section of a course along with the meetings that belong to it.
+ * @typedef {Object} Section
+ * @property {String} id The identifier of this section (e.g. 0101 or a CRN).
+ * @property {(Number|null)} available The number of currently available slots in this section.
+ * @property {(Number|null)} capacity The total number of slots in this section.
+ * @property {Array<Meeting>} meetings All meetings that belong to this section.
+ */
+
+/**
+ * The data returned by a provider for a single course lookup.
+ * This matches the shape of the webadvisor-api response so existing run data remains compatible.
+ * @typedef {Object} CourseData
+ * @property {({ sections: Array<Section> }|null)} course The course that was found or null if no course exists.
+ */
+
+/**
+ * Base class for all course-data providers.
+ * A provider is responsible for looking up the current sections and meetings for a course at a given institution and term.
+ * Subclasses must implement getCourse(...) and should be registered with the provider registry.
+ * @class
+ */
+class Provider {
+  /**
+   * The name used to identify this type of provider, this is the name used in config.dataProviders.
+   * @readonly
+   * @type {String}
+   */
+  name = 'provider';
+
+  /**
+   * Looks up the current section and meeting data for a course.
+   * @abstract
+   * @param {Object} variables The keys identifying the course to lookup.
+   * @param {String} variables.institutionKey The key of the institution the course is at.
+   * @param {String} variables.courseKey The course code of the course (e.g. CIS*1500).
+   * @param {String} variables.termKey The term the course occurs in (e.g. F22).
+   * @returns {Promise<CourseData>} Resolves with the course data or rejects with any lookup errors.
+   */
+  async getCourse(variables) {
+    throw new Error(`The ${this.name} provider does not implement getCourse(...)`);
+  }
+}
+
+module.exports = Provider;
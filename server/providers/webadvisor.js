@@ -0,0 +1,67 @@
+const { GraphQLClient } = require('graphql-request');
+const Provider = require('./provider');
+
+/**
+ * Defines the GraphQL query that is used to retrieve the current number of available slots for a given course.
+ * Must be used with the following variables object: { institutionKey, courseKey, termKey }.
+ * @type {String}
+ */
+const slotsQuery = `
+  query Slots(
+    $courseKey: String!
+    $termKey: Term!
+    $institutionKey: School!
+  ) {
+    course(
+      code: $courseKey
+      institution: $institutionKey
+      term: $termKey
+    ) {
+      sections {
+        id
+        available
+        capacity
+        meetings {
+          type
+          name
+          available
+          capacity
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Provider that performs course lookups using the webadvisor-api GraphQL service.
+ * @class
+ */
+class WebAdvisorProvider extends Provider {
+  name = 'webadvisor';
+
+  /**
+   * Holds an instance of a GraphQLClient that can be used to perform course lookups.
+   * This value should never be undefined after instance construction.
+   * @type {GraphQLClient}
+   */
+  gql = undefined;
+
+  /**
+   * Creates a new webadvisor-api provider.
+   * @param {String} webadvisorApi The URL of the webadvisor-api GraphQL endpoint.
+   * @param {Number} [timeout=0] The time, in seconds, before a request is aborted. Use 0 to never abort requests.
+   */
+  constructor(webadvisorApi, timeout = 0) {
+    super();
+    this.gql = new GraphQLClient(webadvisorApi, {
+      mode: 'cors',
+      timeout: timeout * 1000,
+    });
+  }
+
+  async getCourse(variables) {
+    return this.gql.request(slotsQuery, variables);
+  }
+}
+
+module.exports = WebAdvisorProvider;
@@ -0,0 +1,99 @@
+const config = require('../config');
+
+/**
+ * Utility to parse a time of day in the 24 hour "HH:MM" format.
+ * @param {String} time The time of day to parse.
+ * @returns {(Number|undefined)} The number of minutes since midnight or undefined if the time is not valid.
+ */
+const parseTime = time => {
+  const [, hours, minutes] = /^(\d{1,2}):(\d{2})$/.exec(`${time}`.trim()) || [];
+  return hours !== undefined && hours < 24 && minutes < 60
+    ? parseInt(hours, 10) * 60 + parseInt(minutes, 10)
+    : undefined;
+};
+
+/**
+ * Utility to check that a timezone is known to the runtime.
+ * @param {String} timezone The IANA timezone to check (e.g. "America/Toronto").
+ * @returns {Boolean} True when the timezone may be used.
+ */
+const isTimezone = timezone => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const quietHours = (module.exports = {
+  /**
+   * Determines the local time of day for some date within a timezone.
+   * @param {Date} date The date to find the local time of.
+   * @param {String} [timezone=config.defaultTimezone] The IANA timezone to use.
+   * @returns {Number} The number of minutes since local midnight.
+   */
+  localMinutes: (date, timezone = config.defaultTimezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23',
+    }).formatToParts(date);
+    const part = type => parseInt(parts.find(part => part.type === type).value, 10);
+
+    return part('hour') * 60 + part('minute');
+  },
+
+  /**
+   * Checks whether a date falls inside the quiet hours of a notification.
+   * Quiet hours may wrap past midnight (e.g. 22:00 until 07:00). The end of the window is not considered quiet.
+   * @param {{ quietStart: String, quietEnd: String, timezone: String }} notification The notification with the quiet hours to check.
+   * @param {Date} [date=new Date()] The date to check, defaults to now.
+   * @returns {Boolean} True when the date is inside the quiet hours, always false if the notification has no quiet hours.
+   */
+  isQuiet: ({ quietStart, quietEnd, timezone }, date = new Date()) => {
+    const start = quietStart ? parseTime(quietStart) : undefined;
+    const end = quietEnd ? parseTime(quietEnd) : undefined;
+    if (start === undefined || end === undefined || start === end) {
+      return false;
+    }
+
+    const now = quietHours.localMinutes(
+      date,
+      timezone && isTimezone(timezone) ? timezone : config.defaultTimezone
+    );
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  },
+
+  /**
+   * Validates the quiet hours that were supplied by a user.
+   * Any value may be undefined, in which case it is not checked. Null values are valid and clear the quiet hours.
+   * The start and end are checked as a pair (undefined counts as unset), so when validating changes pass the values they will have once stored.
+   * @param {Object} fields The quiet hour fields to validate, usually the notification (or notification changes) itself.
+   * @param {(String|null|undefined)} fields.quietStart The local time that the quiet hours start at.
+   * @param {(String|null|undefined)} fields.quietEnd The local time that the quiet hours end at.
+   * @param {(String|null|undefined)} fields.timezone The IANA timezone of the quiet hours.
+   * @param {(Boolean|undefined)} fields.wakeUp Whether notifications are sent during the quiet hours.
+   * @returns {(String|undefined)} A message describing the problem or undefined if the fields are valid.
+   */
+  validate: ({ quietStart, quietEnd, timezone, wakeUp }) => {
+    if (
+      (quietStart != null && parseTime(quietStart) === undefined) ||
+      (quietEnd != null && parseTime(quietEnd) === undefined)
+    ) {
+      return 'The quiet hours must be times of day in the 24 hour "HH:MM" format (e.g. "22:30")';
+    } else if ((quietStart == null) !== (quietEnd == null)) {
+      return 'The start and end of the quiet hours must be set (or cleared) together';
+    } else if (
+      timezone != null &&
+      (typeof timezone !== 'string' || !isTimezone(timezone))
+    ) {
+      return 'The timezone must be a valid IANA timezone (e.g. "America/Toronto")';
+    } else if (wakeUp !== undefined && typeof wakeUp !== 'boolean') {
+      return 'The wake up option must be a boolean';
+    }
+
+    return undefined;
+  },
+});
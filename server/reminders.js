@@ -0,0 +1,46 @@
+const config = require('../config');
+
+module.exports = {
+  /**
+   * Determines whether a reminder is due for a notification that has already been sent and whose condition is still met.
+   * Reminders are sent every `reminderInterval` seconds after the last message until `reminderLimit` reminders have been sent.
+   * @param {ActiveNotification} notification The notification combined with its last run.
+   * @param {Date} [date=new Date()] The date to check, defaults to now.
+   * @returns {Boolean} True when the next reminder should be sent.
+   */
+  isDue: (
+    { reminderInterval, reminderLimit, reminderCount = 0, sentAt },
+    date = new Date()
+  ) =>
+    !!sentAt &&
+    reminderInterval > 0 &&
+    reminderCount < reminderLimit &&
+    date - sentAt >= reminderInterval * 1000,
+
+  /**
+   * Validates the reminder fields that were supplied by a user.
+   * Any value may be undefined, in which case it is not checked.
+   * @param {Object} fields The reminder fields to validate, usually the notification (or notification changes) itself.
+   * @param {(Number|undefined)} fields.reminderInterval The time, in seconds, between each reminder.
+   * @param {(Number|undefined)} fields.reminderLimit The maximum number of reminders to send while the condition stays met.
+   * @returns {(String|undefined)} A message describing the problem or undefined if the fields are valid.
+   */
+  validate: ({ reminderInterval, reminderLimit }) => {
+    if (
+      reminderInterval !== undefined &&
+      (!Number.isInteger(reminderInterval) ||
+        reminderInterval < config.minReminderInterval)
+    ) {
+      return `The reminder interval must be an integer of at least ${config.minReminderInterval} seconds`;
+    } else if (
+      reminderLimit !== undefined &&
+      (!Number.isInteger(reminderLimit) ||
+        reminderLimit < 0 ||
+        reminderLimit > config.maxReminders)
+    ) {
+      return `The reminder limit must be an integer between 0 and ${config.maxReminders}`;
+    }
+
+    return undefined;
+  },
+};
@@ -4,6 +4,16 @@ const path = require('path');
 const MessagingResponse = require('twilio').twiml.MessagingResponse;
 const db = require('./db');
 const notifier = require('./notify');
+const conditions = require('./conditions');
+const matching = require('./matching');
+const quietHours = require('./quietHours');
+const reminders = require('./reminders');
+const history = require('./history');
+const courses = require('./courses');
+const CircuitBreaker = require('./breaker');
+const statistics = require('./statistics');
+const logger = require('./logger');
+const verification = require('./verification');
 const { apiUrl } = require('./utils');
 const config = require('../config');
 
@@ -17,6 +27,12 @@ const config = require('../config');
  *   - name: Runs
  *     description: Access to all runs for all notifications.
  *
+ *   - name: Courses
+ *     description: Access to the data seen for courses, such as the history of their availability.
+ *
+ *   - name: Status
+ *     description: Access to the status of Slotty itself, such as whether course lookups are failing.
+ *
  * definitions:
  *   Notification:
  *     description: The complete notification object for a given notification.
@@ -52,7 +68,7 @@ const config = require('../config');
  *         description: The key used to determine which term the course occurs within (e.g. F19, W22, ect).
  *       contact:
  *         type: string
- *         description: The contact method used to send the notification.
+ *         description: The contact method used to send the notification, either a phone number (e.g. +15195552222) or an email address.
  *       enabled:
  *         type: boolean
  *         default: true
@@ -61,6 +77,85 @@ const config = require('../config');
  *         type: boolean
  *         default: false
  *         description: Whether this notification has been verified to send messages to the specified contact number.
+ *       conditionType:
+ *         type: string
+ *         enum: [available, capacityIncrease, closed, availableIncrease]
+ *         default: available
+ *         description: >
+ *           The condition that triggers this notification. "available" triggers when at least conditionValue slots are open in a single section,
+ *           "capacityIncrease" when the capacity increases by at least conditionValue, "closed" when the open slots drop back to zero,
+ *           and "availableIncrease" when the open slots increase by at least conditionValue.
+ *       conditionValue:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *         description: The number of slots used by the condition, ignored by the "closed" condition.
+ *       includeSections:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: >
+ *           Additional sections (or meetings) to watch along with the sectionKey. If either is set, only those sections are watched,
+ *           otherwise, every section of the course is watched.
+ *       excludeSections:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: Sections (or meetings) that are never watched, even when watching the whole course.
+ *       meetingTypes:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: >
+ *           The meeting types (e.g. LEC, LAB, SEM) to watch within each section. If null, the slots of the whole section are used,
+ *           otherwise, the slots of the matching meetings are used.
+ *       meetingMatch:
+ *         type: string
+ *         enum: [any, all]
+ *         default: any
+ *         description: >
+ *           How the meeting types are matched within a section. "any" uses the single meeting of the listed types with the most open slots,
+ *           "all" requires every listed type to have a meeting with open slots in the same section.
+ *       quietStart:
+ *         type: string
+ *         nullable: true
+ *         pattern: '^\d{1,2}:\d{2}$'
+ *         description: The local time of day (24 hour "HH:MM") that the quiet hours of this notification start at. Quiet hours may wrap past midnight.
+ *       quietEnd:
+ *         type: string
+ *         nullable: true
+ *         pattern: '^\d{1,2}:\d{2}$'
+ *         description: The local time of day (24 hour "HH:MM") that the quiet hours of this notification end at.
+ *       timezone:
+ *         type: string
+ *         nullable: true
+ *         description: The IANA timezone of the quiet hours (e.g. America/Toronto). If null, the server's default timezone is used.
+ *       wakeUp:
+ *         type: boolean
+ *         default: false
+ *         description: >
+ *           Whether notifications are sent anyway during the quiet hours. Otherwise, notifications are held until the quiet hours end
+ *           and are only sent if the condition is still met.
+ *       reminderInterval:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *         description: The time, in seconds, between each reminder while the condition of this notification stays met after a notification was sent.
+ *       reminderLimit:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *         description: The maximum number of reminders to send while the condition stays met, 0 disables reminders.
+ *       expiresAt:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: >
+ *           When this notification expires and will be disabled. If null, the notification never expires.
+ *           New notifications default to the deadline of their term (e.g. the add/drop deadline) unless it has already passed.
  *     example:
  *       id: 1234
  *       lastRunId: 12345678
@@ -72,6 +167,10 @@ const config = require('../config');
  *       contact: '+10001112222'
  *       enabled: true
  *       verified: true
+ *       conditionType: available
+ *       conditionValue: 1
+ *       meetingTypes: [LAB]
+ *       meetingMatch: any
  *
  *   PartialNotification:
  *     description: A subset of the Notification model only containing the properties that a user is allowed to change.
@@ -92,11 +191,90 @@ const config = require('../config');
  *         description: The key used to determine which term the course occurs within (e.g. F19, W22, ect).
  *       contact:
  *         type: string
- *         description: The contact method used to send the notification.
+ *         description: The contact method used to send the notification, either a phone number (e.g. +15195552222) or an email address.
  *       enabled:
  *         type: boolean
  *         default: true
  *         description: Whether this notification is currently enabled.
+ *       conditionType:
+ *         type: string
+ *         enum: [available, capacityIncrease, closed, availableIncrease]
+ *         default: available
+ *         description: >
+ *           The condition that triggers this notification. "available" triggers when at least conditionValue slots are open in a single section,
+ *           "capacityIncrease" when the capacity increases by at least conditionValue, "closed" when the open slots drop back to zero,
+ *           and "availableIncrease" when the open slots increase by at least conditionValue.
+ *       conditionValue:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *         description: The number of slots used by the condition, ignored by the "closed" condition.
+ *       includeSections:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: >
+ *           Additional sections (or meetings) to watch along with the sectionKey. If either is set, only those sections are watched,
+ *           otherwise, every section of the course is watched.
+ *       excludeSections:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: Sections (or meetings) that are never watched, even when watching the whole course.
+ *       meetingTypes:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: >
+ *           The meeting types (e.g. LEC, LAB, SEM) to watch within each section. If null, the slots of the whole section are used,
+ *           otherwise, the slots of the matching meetings are used.
+ *       meetingMatch:
+ *         type: string
+ *         enum: [any, all]
+ *         default: any
+ *         description: >
+ *           How the meeting types are matched within a section. "any" uses the single meeting of the listed types with the most open slots,
+ *           "all" requires every listed type to have a meeting with open slots in the same section.
+ *       quietStart:
+ *         type: string
+ *         nullable: true
+ *         pattern: '^\d{1,2}:\d{2}$'
+ *         description: The local time of day (24 hour "HH:MM") that the quiet hours of this notification start at. Quiet hours may wrap past midnight. Must be set (or cleared) along with quietEnd.
+ *       quietEnd:
+ *         type: string
+ *         nullable: true
+ *         pattern: '^\d{1,2}:\d{2}$'
+ *         description: The local time of day (24 hour "HH:MM") that the quiet hours of this notification end at.
+ *       timezone:
+ *         type: string
+ *         nullable: true
+ *         description: The IANA timezone of the quiet hours (e.g. America/Toronto). If null, the server's default timezone is used.
+ *       wakeUp:
+ *         type: boolean
+ *         default: false
+ *         description: >
+ *           Whether notifications are sent anyway during the quiet hours. Otherwise, notifications are held until the quiet hours end
+ *           and are only sent if the condition is still met.
+ *       reminderInterval:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *         description: The time, in seconds, between each reminder while the condition of this notification stays met after a notification was sent.
+ *       reminderLimit:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *         description: The maximum number of reminders to send while the condition stays met, 0 disables reminders.
+ *       expiresAt:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: >
+ *           When this notification expires and will be disabled. If null, the notification never expires.
+ *           New notifications default to the deadline of their term (e.g. the add/drop deadline) unless it has already passed.
  *     example:
  *       institutionKey: UOG
  *       courseKey: MATH*1200
@@ -104,6 +282,16 @@ const config = require('../config');
  *       termKey: F22
  *       contact: '+10001112222'
  *       enabled: true
+ *       conditionType: available
+ *       conditionValue: 3
+ *       quietStart: '23:00'
+ *       quietEnd: '07:30'
+ *       timezone: America/Toronto
+ *       reminderInterval: 600
+ *       reminderLimit: 3
+ *       includeSections: ['0103', '0105']
+ *       meetingTypes: [LEC, LAB]
+ *       meetingMatch: all
  *
  *   NewNotification:
  *     description: A subset of the Notification model properties that are used during creation of new notifications.
@@ -129,11 +317,90 @@ const config = require('../config');
  *         description: The key used to determine which term the course occurs within (e.g. F19, W22, ect).
  *       contact:
  *         type: string
- *         description: The contact method used to send the notification.
+ *         description: The contact method used to send the notification, either a phone number (e.g. +15195552222) or an email address.
  *       enabled:
  *         type: boolean
  *         default: true
  *         description: Whether this notification is currently enabled.
+ *       conditionType:
+ *         type: string
+ *         enum: [available, capacityIncrease, closed, availableIncrease]
+ *         default: available
+ *         description: >
+ *           The condition that triggers this notification. "available" triggers when at least conditionValue slots are open in a single section,
+ *           "capacityIncrease" when the capacity increases by at least conditionValue, "closed" when the open slots drop back to zero,
+ *           and "availableIncrease" when the open slots increase by at least conditionValue.
+ *       conditionValue:
+ *         type: integer
+ *         minimum: 1
+ *         default: 1
+ *         description: The number of slots used by the condition, ignored by the "closed" condition.
+ *       includeSections:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: >
+ *           Additional sections (or meetings) to watch along with the sectionKey. If either is set, only those sections are watched,
+ *           otherwise, every section of the course is watched.
+ *       excludeSections:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: Sections (or meetings) that are never watched, even when watching the whole course.
+ *       meetingTypes:
+ *         type: array
+ *         nullable: true
+ *         items:
+ *           type: string
+ *         description: >
+ *           The meeting types (e.g. LEC, LAB, SEM) to watch within each section. If null, the slots of the whole section are used,
+ *           otherwise, the slots of the matching meetings are used.
+ *       meetingMatch:
+ *         type: string
+ *         enum: [any, all]
+ *         default: any
+ *         description: >
+ *           How the meeting types are matched within a section. "any" uses the single meeting of the listed types with the most open slots,
+ *           "all" requires every listed type to have a meeting with open slots in the same section.
+ *       quietStart:
+ *         type: string
+ *         nullable: true
+ *         pattern: '^\d{1,2}:\d{2}$'
+ *         description: The local time of day (24 hour "HH:MM") that the quiet hours of this notification start at. Quiet hours may wrap past midnight. Must be set (or cleared) along with quietEnd.
+ *       quietEnd:
+ *         type: string
+ *         nullable: true
+ *         pattern: '^\d{1,2}:\d{2}$'
+ *         description: The local time of day (24 hour "HH:MM") that the quiet hours of this notification end at.
+ *       timezone:
+ *         type: string
+ *         nullable: true
+ *         description: The IANA timezone of the quiet hours (e.g. America/Toronto). If null, the server's default timezone is used.
+ *       wakeUp:
+ *         type: boolean
+ *         default: false
+ *         description: >
+ *           Whether notifications are sent anyway during the quiet hours. Otherwise, notifications are held until the quiet hours end
+ *           and are only sent if the condition is still met.
+ *       reminderInterval:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *         description: The time, in seconds, between each reminder while the condition of this notification stays met after a notification was sent.
+ *       reminderLimit:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *         description: The maximum number of reminders to send while the condition stays met, 0 disables reminders.
+ *       expiresAt:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: >
+ *           When this notification expires and will be disabled. If null, the notification never expires.
+ *           New notifications default to the deadline of their term (e.g. the add/drop deadline) unless it has already passed.
  *     example:
  *       institutionKey: UOG
  *       courseKey: MATH*1200
@@ -160,7 +427,11 @@ const config = require('../config');
  *       sourceData:
  *         type: string
  *         nullable: true
- *         description: Optional string containing the data used to trigger this run.
+ *         description: Optional string containing the data used to trigger this run, resolved from the course snapshot when one is referenced.
+ *       snapshotId:
+ *         type: integer
+ *         nullable: true
+ *         description: The internal identifier of the course snapshot containing the data used to trigger this run, shared by all runs that saw the same data.
  *       timestamp:
  *         type: string
  *         format: date-time
@@ -170,13 +441,396 @@ const config = require('../config');
  *         description: >
  *           Whether a notification was sent as a result of this run or previous runs with the same slots.
  *           This should be set to false when the course is closed up again.
+ *       availableSlots:
+ *         type: integer
+ *         nullable: true
+ *         description: The number of available slots matching the notification seen during this run, summed over all matching sections.
+ *       totalSlots:
+ *         type: integer
+ *         nullable: true
+ *         description: The total number of slots matching the notification seen during this run, summed over all matching sections.
+ *       reminderCount:
+ *         type: integer
+ *         description: The number of reminders sent since the notification was first sent for these slots.
+ *       sentAt:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: When the last message (the notification or a reminder) was sent for these slots.
+ *       metCount:
+ *         type: integer
+ *         description: The number of consecutive runs, up to and including this run, that met the condition of the notification.
+ *       metSince:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: When the condition was first met in the current streak of runs.
+ *       suppressed:
+ *         type: boolean
+ *         default: false
+ *         description: Whether an alert was held back by this run because the condition has not been met for long enough (a possible flap).
+ *       deferred:
+ *         type: boolean
+ *         default: false
+ *         description: Whether a notification was held back by this run because it fell inside the quiet hours of the notification.
  *     example:
  *       id: 123456
  *       notificationId: 1234
  *       error: null
  *       sourceData: '{ data: { course: { sections: [] } } }'
+ *       snapshotId: 4321
  *       timestamp: '2020-02-07T18:29:41Z'
  *       notificationSent: false
+ *       availableSlots: 0
+ *       totalSlots: 120
+ *       reminderCount: 0
+ *       sentAt: null
+ *       metCount: 0
+ *       metSince: null
+ *       suppressed: false
+ *       deferred: false
+ *
+ *   Course:
+ *     description: The current sections of a course along with the meetings of each section.
+ *     type: object
+ *     properties:
+ *       institutionKey:
+ *         type: string
+ *       termKey:
+ *         type: string
+ *       courseKey:
+ *         type: string
+ *       sectionKeys:
+ *         type: array
+ *         description: Every key that a notification may use as its section key for this course, either a section or a single meeting (e.g. a WLU CRN).
+ *         items:
+ *           type: string
+ *       sections:
+ *         type: array
+ *         items:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             available:
+ *               type: integer
+ *               nullable: true
+ *             capacity:
+ *               type: integer
+ *               nullable: true
+ *             meetings:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   available:
+ *                     type: integer
+ *                     nullable: true
+ *                   capacity:
+ *                     type: integer
+ *                     nullable: true
+ *     example:
+ *       institutionKey: UOG
+ *       termKey: F22
+ *       courseKey: CIS*1500
+ *       sectionKeys: ['0101', '0102']
+ *       sections:
+ *         - id: '0101'
+ *           available: 2
+ *           capacity: 120
+ *           meetings:
+ *             - type: LEC
+ *               name: LEC
+ *               available: 2
+ *               capacity: 120
+ *
+ *   CacheStats:
+ *     description: Counters showing how much load the course cache of this server has saved since it started.
+ *     type: object
+ *     properties:
+ *       hits:
+ *         type: integer
+ *         description: The number of lookups answered from the cache of this server.
+ *       misses:
+ *         type: integer
+ *         description: The number of lookups that were not cached by this server. Those that were not shared hits had to query the data source.
+ *       sharedHits:
+ *         type: integer
+ *         description: The number of misses answered by a recent lookup stored in the database, usually made by a worker.
+ *       coalesced:
+ *         type: integer
+ *         description: The number of lookups that shared a query already in progress instead of querying again.
+ *       size:
+ *         type: integer
+ *         description: The number of courses currently cached.
+ *     example:
+ *       hits: 42
+ *       misses: 10
+ *       sharedHits: 8
+ *       coalesced: 3
+ *       size: 8
+ *
+ *   UpstreamStatus:
+ *     description: The state of the course lookups for an institution, or a single course within it. Only institutions and courses that have had a lookup fail are tracked.
+ *     type: object
+ *     properties:
+ *       institutionKey:
+ *         type: string
+ *       termKey:
+ *         type: string
+ *         nullable: true
+ *         description: The term of the course, null for the whole institution.
+ *       courseKey:
+ *         type: string
+ *         nullable: true
+ *         description: The course, null for the whole institution.
+ *       state:
+ *         type: string
+ *         enum: [closed, open, half-open]
+ *         description: Lookups are made as normal when closed, are stopped until the retry time when open, and a single lookup is being tried when half-open.
+ *       failures:
+ *         type: integer
+ *         description: The number of lookups in a row that have failed.
+ *       lastError:
+ *         type: string
+ *         nullable: true
+ *       lastFailure:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *       lastSuccess:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *       retryAt:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: When lookups will be tried again.
+ *       updatedAt:
+ *         type: string
+ *         format: date-time
+ *     example:
+ *       institutionKey: UOG
+ *       termKey: null
+ *       courseKey: null
+ *       state: open
+ *       failures: 6
+ *       lastError: 'request to https://webadvisor-api.herokuapp.com/graphql failed'
+ *       lastFailure: '2022-09-08T13:05:12Z'
+ *       lastSuccess: '2022-09-08T12:58:40Z'
+ *       retryAt: '2022-09-08T13:06:12Z'
+ *       updatedAt: '2022-09-08T13:05:12Z'
+ *
+ *   CourseStatus:
+ *     description: Whether the checks for a course are currently failing, along with the status of the course and its institution.
+ *     type: object
+ *     properties:
+ *       failing:
+ *         type: boolean
+ *         description: True when the last lookup for the course, or its institution, failed.
+ *       institution:
+ *         $ref: '#/definitions/UpstreamStatus'
+ *       course:
+ *         $ref: '#/definitions/UpstreamStatus'
+ *
+ *   WorkerCycle:
+ *     description: A record of a single cycle of the worker, in which it checks every active notification.
+ *     type: object
+ *     properties:
+ *       id:
+ *         type: integer
+ *       workerId:
+ *         type: string
+ *         description: The identifier of the worker that performed the cycle.
+ *       startedAt:
+ *         type: string
+ *         format: date-time
+ *       finishedAt:
+ *         type: string
+ *         format: date-time
+ *       duration:
+ *         type: integer
+ *         description: How long the cycle took, in milliseconds.
+ *       succeeded:
+ *         type: boolean
+ *         description: Whether the cycle finished without an error stopping it.
+ *       notifications:
+ *         type: integer
+ *         description: The number of notifications checked.
+ *       lookups:
+ *         type: integer
+ *         description: The number of requests made to the data source, lookups answered by the course cache or a shared snapshot are not counted.
+ *       errors:
+ *         type: integer
+ *         description: The number of errors encountered while checking courses and notifications.
+ *       sent:
+ *         type: integer
+ *         description: The number of messages sent.
+ *       error:
+ *         type: string
+ *         nullable: true
+ *         description: The error that stopped the cycle.
+ *     example:
+ *       id: 1042
+ *       workerId: worker-1
+ *       startedAt: '2022-09-08T13:05:00Z'
+ *       finishedAt: '2022-09-08T13:05:04Z'
+ *       duration: 4120
+ *       succeeded: true
+ *       notifications: 35
+ *       lookups: 12
+ *       errors: 0
+ *       sent: 2
+ *       error: null
+ *
+ *   WorkerStatus:
+ *     description: Whether the worker is checking notifications, based upon when it last finished a cycle successfully.
+ *     type: object
+ *     properties:
+ *       healthy:
+ *         type: boolean
+ *         description: True when the last successful cycle finished recently enough.
+ *       secondsSinceLastSuccess:
+ *         type: integer
+ *         nullable: true
+ *         description: How long ago the last successful cycle finished, null if no cycle has succeeded.
+ *       lastSuccessfulCycle:
+ *         $ref: '#/definitions/WorkerCycle'
+ *       lastCycle:
+ *         $ref: '#/definitions/WorkerCycle'
+ *
+ *   AvailabilityChange:
+ *     description: A single change in the availability of a section, only recorded when the slots of the section change.
+ *     type: object
+ *     properties:
+ *       institutionKey:
+ *         type: string
+ *         description: The institution of the course.
+ *       termKey:
+ *         type: string
+ *         description: The term of the course.
+ *       courseKey:
+ *         type: string
+ *         description: The course code of the course.
+ *       sectionKey:
+ *         type: string
+ *         description: The section of the course that changed.
+ *       timestamp:
+ *         type: string
+ *         format: date-time
+ *         description: When the change was first seen.
+ *       availableSlots:
+ *         type: integer
+ *         description: The number of available slots after the change.
+ *       totalSlots:
+ *         type: integer
+ *         description: The total number of slots after the change.
+ *     example:
+ *       institutionKey: UOG
+ *       termKey: F22
+ *       courseKey: CIS*1500
+ *       sectionKey: '0101'
+ *       timestamp: '2022-09-08T13:05:12Z'
+ *       availableSlots: 3
+ *       totalSlots: 120
+ *
+ *   Opening:
+ *     description: A period of time that a section had open slots.
+ *     type: object
+ *     properties:
+ *       sectionKey:
+ *         type: string
+ *         description: The section that had open slots.
+ *       openedAt:
+ *         type: string
+ *         format: date-time
+ *         description: When the section was first seen with open slots.
+ *       closedAt:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: When the section was first seen without open slots again, null if it is still open.
+ *       duration:
+ *         type: integer
+ *         nullable: true
+ *         description: How long, in seconds, the section stayed open for, null if it is still open.
+ *       maxAvailableSlots:
+ *         type: integer
+ *         description: The most available slots seen while the section was open.
+ *     example:
+ *       sectionKey: '0101'
+ *       openedAt: '2022-09-08T13:05:12Z'
+ *       closedAt: '2022-09-08T13:09:42Z'
+ *       duration: 270
+ *       maxAvailableSlots: 3
+ *
+ *   CourseStatistics:
+ *     description: Estimates of how often seats open within a course (or a single section of it), computed from its availability history.
+ *     type: object
+ *     properties:
+ *       sectionKey:
+ *         type: string
+ *         nullable: true
+ *         description: The section the estimates are for, null when they are for the whole course.
+ *       observedSince:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: When the course was first seen within the history, null if it has never been seen.
+ *       observedUntil:
+ *         type: string
+ *         format: date-time
+ *         nullable: true
+ *         description: The end of the period that the estimates cover, null if it has never been seen.
+ *       observedDuration:
+ *         type: integer
+ *         description: The length, in seconds, of the period that the estimates cover.
+ *       openings:
+ *         type: integer
+ *         description: The number of times that seats opened up during the period.
+ *       openingsPerWeek:
+ *         type: number
+ *         nullable: true
+ *         description: The average number of openings per week, null if the course has never been seen.
+ *       medianRefillTime:
+ *         type: number
+ *         nullable: true
+ *         description: The median time, in seconds, that it took for opened seats to be taken again, null if no openings have closed.
+ *       openingsByHour:
+ *         type: array
+ *         description: The number of openings that started during each hour of the day (local time, 0 to 23).
+ *         items:
+ *           type: integer
+ *       peakHour:
+ *         type: integer
+ *         nullable: true
+ *         description: The hour of the day (local time) with the most openings, null if there were no openings.
+ *       likelihood:
+ *         type: string
+ *         enum: [unknown, low, medium, high]
+ *         description: The estimated likelihood of seats opening.
+ *       sections:
+ *         type: array
+ *         description: The statistics of each section of the course, only included for the whole course.
+ *         items:
+ *           $ref: '#/definitions/CourseStatistics'
+ *     example:
+ *       sectionKey: null
+ *       observedSince: '2022-09-01T12:00:00Z'
+ *       observedUntil: '2022-09-15T12:00:00Z'
+ *       observedDuration: 1209600
+ *       openings: 5
+ *       openingsPerWeek: 2.5
+ *       medianRefillTime: 270
+ *       openingsByHour: [0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0]
+ *       peakHour: 13
+ *       likelihood: medium
+ *       sections: []
  *
  *   Error:
  *     type: object
@@ -210,6 +864,32 @@ const config = require('../config');
  *         status: 400
  *         message: Access key must be a valid, non-empty string
  *
+ *   BadRequestCourseError:
+ *     description: The server was unable to determine what course or filters were specified.
+ *     schema:
+ *       $ref: '#/definitions/Error'
+ *     examples:
+ *       application/json:
+ *         status: 400
+ *         message: The since and until values must be valid dates
+ *
+ *   UnknownCourseError:
+ *     description: The course or one of the sections of the notification does not exist, so the notification could never be sent. The sections that may be used with the course are listed.
+ *     schema:
+ *       allOf:
+ *         - $ref: '#/definitions/Error'
+ *         - type: object
+ *           properties:
+ *             validSections:
+ *               type: array
+ *               items:
+ *                 type: string
+ *     examples:
+ *       application/json:
+ *         status: 422
+ *         message: 'The following sections do not exist in CIS*1500: 0103'
+ *         validSections: ['0101', '0102']
+ *
  * parameters:
  *   accessKey:
  *     name: accessKey
@@ -217,6 +897,44 @@ const config = require('../config');
  *     description: The access key used to specify a notification.
  *     type: string
  *     required: true
+ *   institution:
+ *     name: institution
+ *     in: path
+ *     description: The key of the institution the course is at (e.g. UOG).
+ *     type: string
+ *     required: true
+ *   term:
+ *     name: term
+ *     in: path
+ *     description: The key of the term the course occurs within (e.g. F22).
+ *     type: string
+ *     required: true
+ *   course:
+ *     name: course
+ *     in: path
+ *     description: The course code, without the section (e.g. CIS*1500).
+ *     type: string
+ *     required: true
+ *   section:
+ *     name: section
+ *     in: query
+ *     description: Only include this section of the course.
+ *     type: string
+ *     required: false
+ *   since:
+ *     name: since
+ *     in: query
+ *     description: Only include data seen at or after this date.
+ *     type: string
+ *     format: date-time
+ *     required: false
+ *   until:
+ *     name: until
+ *     in: query
+ *     description: Only include data seen at or before this date.
+ *     type: string
+ *     format: date-time
+ *     required: false
  */
 
 /**
@@ -229,22 +947,25 @@ class HTTPError extends Error {
    * Creates a new HTTPError with a given status and optionally an override message.
    * @param {Number} [status=500] The status code of the HTTP error that occurred.
    * @param {String} [message=undefined] An optional message to override the default HTTP code based message with.
+   * @param {Object} [details={}] Optional extra fields to include in the JSON error message (e.g. a list of valid values).
    */
-  constructor(status = 500, message) {
+  constructor(status = 500, message, details = {}) {
     // determine the correct message to use
     const errorMessage = message || statuses[status] || `${status}`;
 
     super(`${status} ${errorMessage}`);
     this.status = status;
     this.errorMessage = errorMessage;
+    this.details = details;
   }
 
   /**
    * Converts an HTTPError to a serializable object to be sent as a JSON error message
-   * @returns {{ status: Number, message: String }} Serializable object for HTTP replies.
+   * @returns {{ status: Number, message: String }} Serializable object for HTTP replies, along with any extra details.
    */
   get json() {
     return {
+      ...this.details,
       status: this.status,
       message: this.errorMessage,
     };
@@ -272,38 +993,245 @@ const errorHandler = (err, _req, res, next) => {
     res.status(err.status);
     res.json(err.json);
   } else {
-    // log error to console to track unexpected issues
-    console.error(err);
+    // log error to track unexpected issues
+    logger.error('Encountered an unexpected error while handling a request', err);
+
+    // when unexpected error occurs, send error 500 and include stacktrace if in dev mode
+    res.status(500);
+    res.json(new HTTPError(500, config.isDev ? err.stack : undefined).json);
+  }
+};
+
+/**
+ * Creates an express route handler (or middleware) that stops all routing and instantly responds with the given status code.
+ * The status code is automatically populated with its string representation as well.
+ * @param {Number} statusCode HTTP status code to deny route with.
+ * @returns {(req, res, next) => undefined} The route handler or middleware for express.
+ */
+const denyRoute = statusCode => (_req, _res, next) => next(new HTTPError(statusCode));
+
+/**
+ * Defines a generic express route handler for use with `withErrors`.
+ * @callback expressHandler
+ * @param {Object} req The express request object.
+ * @param {Object} res The express response object.
+ * @param {Function} next Callback function if extra functionality is needed.
+ * @returns {Promise<any>}
+ */
+/**
+ * Higher order function to wrap async express route handlers so that thrown errors get redirected to
+ * express's next(..) function. The handler runs with the request's correlation ID (see logger.middleware) attached
+ * to everything it logs, since some middleware (e.g. body-parser) does not keep the context of the request.
+ * @param {expressHandler} handler The route handler that may reject.
+ * @returns {expressHandler} A new function which will catch any errors that occur within handler and pass them to next(...).
+ */
+const withErrors = handler => (req, res, next) =>
+  logger.run({ requestId: req.id }, () => handler(req, res, next).catch(next));
+
+/**
+ * Ensures the contact of a notification (or notification changes) object is a phone number or email address that messages can be sent to.
+ * @throws {HTTPError} If the contact is not valid.
+ * @param {Object} data The notification data supplied by the user.
+ * @returns {Object} The data that was validated.
+ */
+const validateContact = data => {
+  if (
+    data.contact !== undefined &&
+    notifier.getContactInfo(data.contact).type === notifier.CONTACT_TYPE.UNKNOWN
+  ) {
+    throw new HTTPError(
+      400,
+      'The contact must be a phone number including the country code (e.g. +15195552222) or an email address'
+    );
+  }
+
+  return data;
+};
+
+/**
+ * Ensures the condition fields of a notification (or notification changes) object are valid.
+ * Null condition fields are replaced with the default condition so a condition can be reset.
+ * @throws {HTTPError} If the condition is not valid.
+ * @param {Object} data The notification data supplied by the user, may be modified.
+ * @returns {Object} The data with any null condition fields replaced.
+ */
+const validateCondition = data => {
+  ['conditionType', 'conditionValue'].forEach(key => {
+    if (data[key] === null) {
+      data[key] = conditions.DEFAULT_CONDITION[key];
+    }
+  });
+
+  const error = conditions.validate(data.conditionType, data.conditionValue);
+  if (error) {
+    throw new HTTPError(400, error);
+  }
+
+  return data;
+};
+
+/**
+ * Utility to clean a list of keys supplied by a user into a list of unique keys, an empty list is stored as null.
+ * @param {(Array<String>|null|undefined)} list The list of keys to clean.
+ * @param {(key: String) => String} [transform] Optional function used to transform each trimmed key.
+ * @returns {(Array<String>|null|undefined)} The cleaned list, or the original value if it was not a list.
+ */
+const cleanList = (list, transform = key => key) => {
+  if (!Array.isArray(list)) {
+    return list;
+  }
+
+  const keys = [...new Set(list.map(key => transform(key.trim())))];
+  return keys.length ? keys : null;
+};
+
+/**
+ * Ensures the matching fields (meeting types and section lists) of a notification (or notification changes) object are valid.
+ * Each list is cleaned into a list of unique keys (meeting types are also uppercased) and an empty list is stored as null.
+ * A null meeting match is replaced with the default of "any".
+ * @throws {HTTPError} If the matching fields are not valid.
+ * @param {Object} data The notification data supplied by the user, may be modified.
+ * @returns {Object} The data with the matching fields cleaned.
+ */
+const validateMatching = data => {
+  if (data.meetingMatch === null) {
+    data.meetingMatch = matching.MEETING_MATCH.ANY;
+  }
+
+  const error = matching.validate(data);
+  if (error) {
+    throw new HTTPError(400, error);
+  }
+
+  ['includeSections', 'excludeSections', 'meetingTypes']
+    .filter(key => data.hasOwnProperty(key))
+    .forEach(key => {
+      data[key] = cleanList(
+        data[key],
+        key === 'meetingTypes' ? type => type.toUpperCase() : undefined
+      );
+    });
+
+  return data;
+};
+
+/**
+ * Ensures the quiet hour fields of a notification (or notification changes) object are valid.
+ * When changing a notification, the start or end that is not being changed is taken from the current notification so both are checked together.
+ * @throws {HTTPError} If the quiet hours are not valid.
+ * @param {Object} data The notification data supplied by the user.
+ * @param {?Notification} [current] The notification as currently stored, if the data contains changes to it.
+ * @returns {Object} The data that was validated.
+ */
+const validateQuietHours = (data, current) => {
+  const { quietStart, quietEnd } = current || {};
+  const error = quietHours.validate({
+    ...data,
+    quietStart: data.quietStart !== undefined ? data.quietStart : quietStart,
+    quietEnd: data.quietEnd !== undefined ? data.quietEnd : quietEnd,
+  });
+  if (error) {
+    throw new HTTPError(400, error);
+  }
+
+  return data;
+};
+
+/**
+ * Ensures the reminder fields of a notification (or notification changes) object are valid.
+ * Null reminder fields are replaced with 0 so reminders can be disabled.
+ * @throws {HTTPError} If the reminder fields are not valid.
+ * @param {Object} data The notification data supplied by the user, may be modified.
+ * @returns {Object} The data with any null reminder fields replaced.
+ */
+const validateReminders = data => {
+  if (data.reminderLimit === null) {
+    data.reminderLimit = 0;
+  }
+  if (data.reminderInterval === null) {
+    data.reminderInterval = 0;
+  }
 
-    // when unexpected error occurs, send error 500 and include stacktrace if in dev mode
-    res.status(500);
-    res.json(new HTTPError(500, config.isDev ? err.stack : undefined).json);
+  // a zero interval is allowed so reminders can be cleared, it will never send reminders
+  const error = reminders.validate({
+    ...data,
+    reminderInterval: data.reminderInterval === 0 ? undefined : data.reminderInterval,
+  });
+  if (error) {
+    throw new HTTPError(400, error);
   }
+
+  return data;
 };
 
 /**
- * Creates an express route handler (or middleware) that stops all routing and instantly responds with the given status code.
- * The status code is automatically populated with its string representation as well.
- * @param {Number} statusCode HTTP status code to deny route with.
- * @returns {(req, res, next) => undefined} The route handler or middleware for express.
+ * Ensures the course and sections of a notification (or a notification combined with its changes) exist in the course data.
+ * The course is only checked when it can be looked up, so notifications may still be created while the data source is unavailable.
+ * @throws {HTTPError} If the course or any of the sections do not exist, the error lists the valid sections.
+ * @param {Object} data The notification data to check.
+ * @returns {Promise<Object>} Resolves with the data that was validated.
  */
-const denyRoute = statusCode => (_req, _res, next) => next(new HTTPError(statusCode));
+const validateCourse = async data => {
+  const problem = await courses.validate(data);
+  if (problem) {
+    throw new HTTPError(422, problem.message, { validSections: problem.validSections });
+  }
+
+  return data;
+};
 
 /**
- * Defines a generic express route handler for use with `withErrors`.
- * @callback expressHandler
- * @param {Object} req The express request object.
- * @param {Object} res The express response object.
- * @param {Function} next Callback function if extra functionality is needed.
- * @returns {Promise<any>}
+ * Ensures the expiry of a notification (or notification changes) object is valid and converts it to a date.
+ * A null expiry is kept so the notification never expires.
+ * @throws {HTTPError} If the expiry is not a valid date in the future.
+ * @param {Object} data The notification data supplied by the user, may be modified.
+ * @returns {Object} The data with the expiry converted to a date.
  */
+const validateExpiry = data => {
+  if (data.expiresAt === undefined || data.expiresAt === null) {
+    return data;
+  }
+
+  const expiresAt = new Date(data.expiresAt);
+  if (
+    (typeof data.expiresAt !== 'string' && typeof data.expiresAt !== 'number') ||
+    isNaN(expiresAt.valueOf())
+  ) {
+    throw new HTTPError(
+      400,
+      'The expiry must be a valid date (e.g. "2022-09-20T23:59:59Z")'
+    );
+  } else if (expiresAt <= Date.now()) {
+    throw new HTTPError(400, 'The expiry must be a date in the future');
+  }
+
+  data.expiresAt = expiresAt;
+  return data;
+};
+
 /**
- * Higher order function to wrap async express route handlers so that thrown errors get redirected to
- * express's next(..) function.
- * @param {expressHandler} handler The route handler that may reject.
- * @returns {expressHandler} A new function which will catch any errors that occur within handler and pass them to next(...).
+ * Ensures a notification is not enabled again while it has expired, since the expiry task would disable it (and message its owner) again.
+ * Enabling an expired notification is allowed when a new expiry (or null) is supplied along with it.
+ * @throws {HTTPError} If the notification would be enabled while expired.
+ * @param {Object} data The notification changes supplied by the user, after validateExpiry(...).
+ * @param {Notification} current The notification as currently stored.
+ * @returns {Object} The data that was validated.
  */
-const withErrors = handler => (req, res, next) => handler(req, res, next).catch(next);
+const validateEnable = (data, current) => {
+  if (
+    data.enabled === true &&
+    data.expiresAt === undefined &&
+    current.expiresAt &&
+    current.expiresAt <= Date.now()
+  ) {
+    throw new HTTPError(
+      400,
+      'The notification has expired, supply a new expiry (or null) to enable it again'
+    );
+  }
+
+  return data;
+};
 
 /**
  * @swagger
@@ -329,7 +1257,7 @@ const withErrors = handler => (req, res, next) => handler(req, res, next).catch(
  *
  *   put:
  *     summary: Update a notification using an access key to identify it.
- *     description: Performs a partial update of a specific notification. All parameters set in the request will be set on the notification if possible. You must provide an access key. You cannot update a notification's ID or access key. If a change is made to a notification's contact, the notification must be verified again. A verification message will be sent automatically in this case.
+ *     description: Performs a partial update of a specific notification. All parameters set in the request will be set on the notification if possible. You must provide an access key. You cannot update a notification's ID or access key. If a change is made to a notification's contact, the notification must be verified again. A verification message will be sent automatically in this case. An expired notification can only be enabled again along with a new expiry (or a null expiry).
  *     tags:
  *       - Notifications
  *     parameters:
@@ -348,6 +1276,8 @@ const withErrors = handler => (req, res, next) => handler(req, res, next).catch(
  *         $ref: '#/responses/BadRequestAccessKeyError'
  *       404:
  *         $ref: '#/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/responses/UnknownCourseError'
  *
  *   delete:
  *     summary: Disable a given notification using an access key.
@@ -364,10 +1294,34 @@ const withErrors = handler => (req, res, next) => handler(req, res, next).catch(
  *       404:
  *         $ref: '#/responses/NotFoundError'
  *
+ * /notifications/{accessKey}/verify:
+ *   parameters:
+ *     - $ref: '#/parameters/accessKey'
+ *
+ *   get:
+ *     summary: Verify the email address of a notification.
+ *     description: Opened from the link sent to verify a notification that uses an email address. The link is signed so it cannot be created without receiving the email, and stops working once it expires or the contact of the notification changes. Redirects to the site with the verified query parameter set to true or false.
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - name: expires
+ *         in: query
+ *         description: When the link expires, in seconds since the epoch.
+ *         type: integer
+ *         required: true
+ *       - name: token
+ *         in: query
+ *         description: The signature of the link.
+ *         type: string
+ *         required: true
+ *     responses:
+ *       302:
+ *         description: Redirects to the site, which shows whether the notification was verified.
+ *
  * /notifications:
  *   post:
  *     summary: Create a new notification from the information given.
- *     description: Creates a new notification based upon the body of the request. A new access key will be automatically generated for the notification. Before a notification can be used, it must first be verified. A verification message will be sent automatically when a new notification is created. If enabled was not false, then the notification will be active immediately after verification.
+ *     description: Creates a new notification based upon the body of the request. The course and sections are checked against the course data first, unless the course data cannot be reached. A new access key will be automatically generated for the notification. Before a notification can be used, it must first be verified. A verification message will be sent automatically when a new notification is created. If enabled was not false, then the notification will be active immediately after verification.
  *     tags:
  *       - Notifications
  *     parameters:
@@ -392,6 +1346,8 @@ const withErrors = handler => (req, res, next) => handler(req, res, next).catch(
  *             status: 400
  *             message: >
  *               The notification object supplied has extra fields that are disallowed: id, accessKey
+ *       422:
+ *         $ref: '#/responses/UnknownCourseError'
  */
 /**
  * Attaches notification-specific API routes to an express app instance.
@@ -425,13 +1381,61 @@ const notificationRoutes = app => {
     })
   );
 
+  // verify the email address of a notification from the link that was sent to it
+  app.get(
+    apiUrl('notifications/:accessKey/verify'),
+    withErrors(async (req, res) => {
+      const { accessKey } = req.params;
+      const { expires, token } = req.query;
+
+      const notification = await db.getNotification({ accessKey });
+      if (
+        !notification ||
+        notification.accessKey !== accessKey ||
+        !verification.isValid(notification, { expires, token })
+      ) {
+        logger.warn('Unable to verify notification from link', { accessKey });
+        return res.redirect('/?verified=false');
+      }
+
+      // opening the link again after verifying has no effect
+      if (!notification.verified) {
+        await db.updateNotification({ accessKey, verified: true });
+        await notifier
+          .sendVerified(notification.contact, accessKey)
+          .catch(err =>
+            logger.error('Encountered error while sending verified message', err)
+          );
+      }
+
+      // note: the access key is left out of the redirect so it is not logged or kept in the browser history
+      return res.redirect('/?verified=true');
+    })
+  );
+
   // create a new notification
   app.post(
     apiUrl('notifications'),
     withErrors(async (req, res) => {
       const data = req.body || {};
       const requiredFields = ['institutionKey', 'courseKey', 'termKey', 'contact'];
-      const optionalFields = ['sectionKey', 'enabled'];
+      const optionalFields = [
+        'sectionKey',
+        'enabled',
+        'conditionType',
+        'conditionValue',
+        'includeSections',
+        'excludeSections',
+        'meetingTypes',
+        'meetingMatch',
+        'quietStart',
+        'quietEnd',
+        'timezone',
+        'wakeUp',
+        'reminderInterval',
+        'reminderLimit',
+        'expiresAt',
+      ];
 
       // determine missing and extra fields
       const missingFields = requiredFields.filter(key => !data.hasOwnProperty(key));
@@ -456,6 +1460,17 @@ const notificationRoutes = app => {
         );
       }
 
+      // ensure the contact, condition, matching fields, quiet hours, reminders, and expiry are valid before creating anything
+      validateContact(data);
+      validateCondition(data);
+      validateMatching(data);
+      validateQuietHours(data);
+      validateReminders(data);
+      validateExpiry(data);
+
+      // also ensure the course and sections exist so we never verify a notification that can never be sent
+      await validateCourse(data);
+
       // if no issues exist, create the new notification
       const notification = await db.createNotification(data);
 
@@ -528,6 +1543,19 @@ const notificationRoutes = app => {
         'sectionKey',
         'contact',
         'enabled',
+        'conditionType',
+        'conditionValue',
+        'includeSections',
+        'excludeSections',
+        'meetingTypes',
+        'meetingMatch',
+        'quietStart',
+        'quietEnd',
+        'timezone',
+        'wakeUp',
+        'reminderInterval',
+        'reminderLimit',
+        'expiresAt',
       ];
       const extraFields = Object.keys(data).filter(key => !allowedFields.includes(key));
       if (extraFields.length > 0) {
@@ -539,6 +1567,40 @@ const notificationRoutes = app => {
         );
       }
 
+      // ensure any contact, condition, matching field, reminder, and expiry changes are valid
+      validateContact(data);
+      validateCondition(data);
+      validateMatching(data);
+      validateReminders(data);
+      validateExpiry(data);
+
+      // when the course or sections change, ensure they exist using the current values for anything unchanged
+      // when only one end of the quiet hours changes, ensure it still pairs with the current value of the other
+      // when enabling, ensure the notification has not expired unless a new expiry is given
+      const courseFields = [
+        'institutionKey',
+        'courseKey',
+        'termKey',
+        'sectionKey',
+        'includeSections',
+        'excludeSections',
+      ];
+      const isCourseChanged = courseFields.some(key => data.hasOwnProperty(key));
+      const isQuietChanged = ['quietStart', 'quietEnd'].some(key =>
+        data.hasOwnProperty(key)
+      );
+      const current =
+        isCourseChanged || isQuietChanged || data.enabled === true
+          ? await db.getNotification({ accessKey })
+          : undefined;
+      validateQuietHours(data, current);
+      if (current) {
+        if (isCourseChanged) {
+          await validateCourse({ ...current, ...data });
+        }
+        validateEnable(data, current);
+      }
+
       // attempt to update the notification with the specified ID
       const notification = await db.updateNotification({ accessKey, ...data });
 
@@ -680,6 +1742,413 @@ const runRoutes = app => {
   );
 };
 
+/**
+ * @swagger
+ *
+ * /courses:
+ *   get:
+ *     summary: Look up the current sections and availability of a course.
+ *     description: Retrieves the sections and meetings of a course along with their current available and total slots. Lookups are cached for a short time, so the availability may be slightly out of date.
+ *     tags:
+ *       - Courses
+ *     parameters:
+ *       - name: institution
+ *         in: query
+ *         description: The key of the institution the course is at (e.g. UOG).
+ *         type: string
+ *         required: true
+ *       - name: term
+ *         in: query
+ *         description: The key of the term the course occurs within (e.g. F22).
+ *         type: string
+ *         required: true
+ *       - name: code
+ *         in: query
+ *         description: The course code, without the section (e.g. CIS*1500).
+ *         type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The course was found and its current sections returned.
+ *         schema:
+ *           $ref: '#/definitions/Course'
+ *       400:
+ *         $ref: '#/responses/BadRequestCourseError'
+ *       404:
+ *         $ref: '#/responses/NotFoundError'
+ *       502:
+ *         description: The course data could not be retrieved from the data source.
+ *         schema:
+ *           $ref: '#/definitions/Error'
+ *       503:
+ *         description: Lookups for the course (or its institution) keep failing, so the data source is not being queried until they are tried again.
+ *         schema:
+ *           $ref: '#/definitions/Error'
+ *
+ * /courses/cache:
+ *   get:
+ *     summary: Get the counters of the course cache.
+ *     description: Retrieves how many course lookups made by this server were answered from its cache, shared with a lookup already in progress, answered by a recent lookup stored in the database, or had to query the data source. Lookups are stored in the database so the server and every worker share them, although each process keeps its own counters (workers report theirs in their logs).
+ *     tags:
+ *       - Courses
+ *     responses:
+ *       200:
+ *         description: The counters of the course cache.
+ *         schema:
+ *           $ref: '#/definitions/CacheStats'
+ *
+ * /courses/{institution}/{term}/{course}/status:
+ *   parameters:
+ *     - $ref: '#/parameters/institution'
+ *     - $ref: '#/parameters/term'
+ *     - $ref: '#/parameters/course'
+ *
+ *   get:
+ *     summary: Get whether the checks for a course are currently failing.
+ *     description: Retrieves the status of the lookups for a course and its institution. When either is failing, notifications for the course are not being checked as often (or at all) until the lookups succeed again.
+ *     tags:
+ *       - Courses
+ *     responses:
+ *       200:
+ *         description: The status of the course, institution and course are null when their lookups have never failed.
+ *         schema:
+ *           $ref: '#/definitions/CourseStatus'
+ *       400:
+ *         $ref: '#/responses/BadRequestCourseError'
+ *
+ * /courses/{institution}/{term}/{course}/history:
+ *   parameters:
+ *     - $ref: '#/parameters/institution'
+ *     - $ref: '#/parameters/term'
+ *     - $ref: '#/parameters/course'
+ *     - $ref: '#/parameters/section'
+ *     - $ref: '#/parameters/since'
+ *     - $ref: '#/parameters/until'
+ *
+ *   get:
+ *     summary: Get the availability history of a course.
+ *     description: Retrieves every recorded change in the availability of each section of a course, oldest first. Only changes are recorded and the history is kept for the whole term. If the course has never been seen, an empty list is returned.
+ *     tags:
+ *       - Courses
+ *     responses:
+ *       200:
+ *         description: Array of the changes found for the course.
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/AvailabilityChange'
+ *       400:
+ *         $ref: '#/responses/BadRequestCourseError'
+ *
+ * /courses/{institution}/{term}/{course}/history/openings:
+ *   parameters:
+ *     - $ref: '#/parameters/institution'
+ *     - $ref: '#/parameters/term'
+ *     - $ref: '#/parameters/course'
+ *     - $ref: '#/parameters/section'
+ *     - $ref: '#/parameters/since'
+ *     - $ref: '#/parameters/until'
+ *
+ *   get:
+ *     summary: Get the periods of time that sections of a course had open slots.
+ *     description: Computes each period of time that a section of the course had open slots from its availability history, including how long the opening lasted. A section that was already open at the start of the range is treated as opening at the first change in the range.
+ *     tags:
+ *       - Courses
+ *     responses:
+ *       200:
+ *         description: Array of the openings found for the course, sorted by when they opened.
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/Opening'
+ *       400:
+ *         $ref: '#/responses/BadRequestCourseError'
+ *
+ * /courses/{institution}/{term}/{course}/stats:
+ *   parameters:
+ *     - $ref: '#/parameters/institution'
+ *     - $ref: '#/parameters/term'
+ *     - $ref: '#/parameters/course'
+ *     - $ref: '#/parameters/section'
+ *     - $ref: '#/parameters/since'
+ *     - $ref: '#/parameters/until'
+ *
+ *   get:
+ *     summary: Get estimates of how often seats open in a course.
+ *     description: Estimates how often seats open in a course, the hour of day that they usually open at, and how long they usually take to be taken again, all from the availability history of the course. When a section is given, only the estimates for that section are returned, otherwise the estimates for each section are included. Courses without any history have a likelihood of "unknown".
+ *     tags:
+ *       - Courses
+ *     responses:
+ *       200:
+ *         description: The statistics computed for the course.
+ *         schema:
+ *           $ref: '#/definitions/CourseStatistics'
+ *       400:
+ *         $ref: '#/responses/BadRequestCourseError'
+ */
+/**
+ * Attaches course-specific API routes to an express app instance.
+ * @param {express} app Express app instance to attach course API routes too.
+ * @returns {undefined}
+ */
+const courseRoutes = app => {
+  /**
+   * Parses the course and history filters from a request.
+   * @throws {HTTPError} If any of the parameters are not valid.
+   * @param {Object} req The express request object.
+   * @returns {Object} The query to pass to db.getAvailabilityHistory(...).
+   */
+  const getHistoryQuery = req => {
+    const { institution, term, course } = req.params;
+    const { section, since, until } = req.query;
+
+    // parse the optional date filters, either date strings or unix epoch seconds may be used
+    const [sinceDate, untilDate] = [since, until].map(value =>
+      value === undefined
+        ? undefined
+        : new Date(/^\d+$/.test(value) ? parseInt(value, 10) * 1000 : value)
+    );
+
+    if (![institution, term, course].every(key => key && key.trim().length > 0)) {
+      throw new HTTPError(
+        400,
+        'The institution, term, and course must be non-empty strings'
+      );
+    } else if (section !== undefined && typeof section !== 'string') {
+      throw new HTTPError(400, 'The section must be a single string');
+    } else if ([sinceDate, untilDate].some(date => date && isNaN(date.valueOf()))) {
+      throw new HTTPError(400, 'The since and until values must be valid dates');
+    }
+
+    return {
+      institutionKey: institution.trim(),
+      termKey: term.trim(),
+      courseKey: course.trim(),
+      sectionKey: section && section.trim(),
+      since: sinceDate,
+      until: untilDate,
+    };
+  };
+
+  // look up the current sections and availability of a course
+  app.get(
+    apiUrl('courses'),
+    withErrors(async (req, res) => {
+      const { institution, term, code } = req.query;
+
+      if (
+        ![institution, term, code].every(
+          key => typeof key === 'string' && key.trim().length > 0
+        )
+      ) {
+        throw new HTTPError(
+          400,
+          'The institution, term, and code must be non-empty strings'
+        );
+      }
+
+      const variables = {
+        institutionKey: institution.trim(),
+        termKey: term.trim(),
+        courseKey: code.trim(),
+      };
+      const data = await courses.lookup(variables).catch(err => {
+        // the data source is not queried while lookups for the course keep failing
+        if (err && err.code === CircuitBreaker.CIRCUIT_OPEN) {
+          throw new HTTPError(
+            503,
+            'Checks for this course are currently failing, please try again later'
+          );
+        }
+
+        logger.error('Encountered error while looking up course', {
+          ...variables,
+          error: err,
+        });
+        throw new HTTPError(
+          502,
+          'Unable to retrieve the course data, please try again later'
+        );
+      });
+
+      if (!data || !data.course || !data.course.sections) {
+        throw new HTTPError(404, `The course ${variables.courseKey} could not be found`);
+      }
+
+      res.status(200).json({
+        ...variables,
+        sectionKeys: courses.getSectionKeys(data),
+        sections: data.course.sections.map(({ id, available, capacity, meetings }) => ({
+          id,
+          available,
+          capacity,
+          meetings: (meetings || []).map(({ type, name, available, capacity }) => ({
+            type,
+            name,
+            available,
+            capacity,
+          })),
+        })),
+      });
+    })
+  );
+
+  // get the counters of the course cache
+  app.get(
+    apiUrl('courses/cache'),
+    withErrors(async (_req, res) => {
+      res.status(200).json(courses.getCacheStats());
+    })
+  );
+
+  // get whether the checks for a course are currently failing
+  app.get(
+    apiUrl('courses/:institution/:term/:course/status'),
+    withErrors(async (req, res) => {
+      const { institutionKey, termKey, courseKey } = getHistoryQuery(req);
+      const statuses = await db.getUpstreamStatuses({
+        institutionKey,
+        termKey,
+        courseKey,
+      });
+
+      const institution = statuses.find(({ courseKey }) => !courseKey) || null;
+      const course = statuses.find(({ courseKey }) => courseKey) || null;
+      res.status(200).json({
+        failing:
+          CircuitBreaker.isFailing(institution) || CircuitBreaker.isFailing(course),
+        institution,
+        course,
+      });
+    })
+  );
+
+  // get the availability history of a course
+  app.get(
+    apiUrl('courses/:institution/:term/:course/history'),
+    withErrors(async (req, res) => {
+      const changes = await db.getAvailabilityHistory(getHistoryQuery(req));
+
+      // since unknown courses simply have no history, we can return the changes in all cases
+      res.status(200).json(changes);
+    })
+  );
+
+  // get the periods of time that sections of a course had open slots
+  app.get(
+    apiUrl('courses/:institution/:term/:course/history/openings'),
+    withErrors(async (req, res) => {
+      const changes = await db.getAvailabilityHistory(getHistoryQuery(req));
+
+      res.status(200).json(history.toOpenings(changes));
+    })
+  );
+
+  // get estimates of how often seats open in a course
+  app.get(
+    apiUrl('courses/:institution/:term/:course/stats'),
+    withErrors(async (req, res) => {
+      const { sectionKey, until, ...query } = getHistoryQuery(req);
+
+      // the whole course is always loaded so the statistics of a section use the same period as the course
+      const changes = await db.getAvailabilityHistory({ ...query, until });
+      const options = { until: until && until < new Date() ? until : new Date() };
+
+      res
+        .status(200)
+        .json(
+          sectionKey
+            ? statistics.compute(changes, { ...options, sectionKey })
+            : statistics.computeCourse(changes, options)
+        );
+    })
+  );
+};
+
+/**
+ * @swagger
+ *
+ * /status:
+ *   get:
+ *     summary: Get the status of the worker.
+ *     description: Retrieves the last cycle of the worker and the last cycle that succeeded, along with how long ago the last successful cycle finished. The worker is reported as unhealthy when no cycle has succeeded recently.
+ *     tags:
+ *       - Status
+ *     responses:
+ *       200:
+ *         description: The status of the worker.
+ *         schema:
+ *           $ref: '#/definitions/WorkerStatus'
+ */
+/**
+ * @swagger
+ *
+ * /status/upstream:
+ *   get:
+ *     summary: Get the status of the course lookups.
+ *     description: Retrieves the status of the lookups for every institution and course that has had a lookup fail, institutions first. Lookups that keep failing are backed off and, once enough fail in a row, the institution is not looked up until its retry time.
+ *     tags:
+ *       - Status
+ *     parameters:
+ *       - name: institution
+ *         in: query
+ *         description: Only include this institution.
+ *         type: string
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Array of the statuses found.
+ *         schema:
+ *           type: array
+ *           items:
+ *             $ref: '#/definitions/UpstreamStatus'
+ */
+/**
+ * Attaches status API routes to an express app instance.
+ * @param {express} app Express app instance to attach status API routes too.
+ * @returns {undefined}
+ */
+const statusRoutes = app => {
+  // get the status of the worker
+  app.get(
+    apiUrl('status'),
+    withErrors(async (_req, res) => {
+      const [lastCycle, lastSuccessfulCycle] = await Promise.all([
+        db.getLastWorkerCycle(),
+        db.getLastWorkerCycle({ succeeded: true }),
+      ]);
+
+      const secondsSinceLastSuccess = lastSuccessfulCycle
+        ? Math.max(Math.round((Date.now() - lastSuccessfulCycle.finishedAt) / 1000), 0)
+        : null;
+      res.status(200).json({
+        healthy:
+          secondsSinceLastSuccess !== null &&
+          secondsSinceLastSuccess <= config.workerStaleAfter,
+        secondsSinceLastSuccess,
+        lastSuccessfulCycle: lastSuccessfulCycle || null,
+        lastCycle: lastCycle || null,
+      });
+    })
+  );
+
+  // get the status of the course lookups
+  app.get(
+    apiUrl('status/upstream'),
+    withErrors(async (req, res) => {
+      const { institution } = req.query;
+      if (institution !== undefined && typeof institution !== 'string') {
+        throw new HTTPError(400, 'The institution must be a single string');
+      }
+
+      const statuses = await db.getUpstreamStatuses({
+        institutionKey: institution && institution.trim(),
+      });
+      res.status(200).json(statuses);
+    })
+  );
+};
+
 /**
  * Attaches the API routes to an express app instance
  * @param {express} app Express app instance to attach API routes too.
@@ -692,6 +2161,8 @@ const apiRoutes = app => {
   // register API routes for each resource
   notificationRoutes(app);
   runRoutes(app);
+  courseRoutes(app);
+  statusRoutes(app);
 };
 
 /**
@@ -707,7 +2178,12 @@ const webhookRoutes = app => {
       const { AccountSid: accountSid, From: from, Body: accessKey } = req.body;
 
       // output logging information
-      console.log('Received SMS at webhook', req.body);
+      // only log what is needed to trace the message, the request also includes the location of the sender
+      logger.info('Received SMS at webhook', {
+        messageSid: req.body.MessageSid,
+        from,
+        accessKey,
+      });
 
       // ensure we have all needed fields and the correct accountSid is present
       if (!accountSid || !from || !accessKey) {
@@ -0,0 +1,250 @@
+/**
+ * Information recorded about a single execution of a scheduled task.
+ * @typedef {Object} SchedulerCycle
+ * @property {Date} startedAt When the task started executing.
+ * @property {Date} finishedAt When the task finished executing.
+ * @property {Number} duration How long the task took to execute in milliseconds.
+ * @property {Number} skipped The number of cycles that were skipped after this one because it overran its slot.
+ * @property {(Error|undefined)} error The error the task rejected with, if any.
+ */
+
+/**
+ * Runs an async task repeatedly on a fixed interval without ever overlapping executions.
+ * Cycles are anchored to the time the scheduler was started so delays in one cycle do not cause drift in the following cycles.
+ * When a cycle takes longer than the interval, the scheduler falls behind and handles it based upon its behind policy:
+ *  - "skip": Any missed cycles are skipped and the next cycle runs at the next scheduled time.
+ *  - "immediate": The next cycle runs right away (shortening the wait) and the schedule continues from the next scheduled time after that.
+ * @class
+ */
+class Scheduler {
+  /**
+   * Defines the different ways the scheduler may handle falling behind.
+   * @readonly
+   * @enum
+   * @type {Object}
+   */
+  static BEHIND_POLICY = {
+    SKIP: 'skip',
+    IMMEDIATE: 'immediate',
+  };
+
+  /**
+   * The task that is executed for each cycle.
+   * @type {() => Promise<any>}
+   */
+  task = undefined;
+
+  /**
+   * The interval between the start of each cycle in milliseconds.
+   * @type {Number}
+   */
+  interval = 0;
+
+  /**
+   * One of Scheduler.BEHIND_POLICY, controls what happens when a cycle overruns the interval.
+   * @type {String}
+   */
+  behindPolicy = Scheduler.BEHIND_POLICY.SKIP;
+
+  /**
+   * The maximum number of cycles to keep in the history.
+   * @type {Number}
+   */
+  historySize = 20;
+
+  /**
+   * The most recent cycles with the newest cycle last.
+   * @type {Array<SchedulerCycle>}
+   */
+  history = [];
+
+  /**
+   * The total number of cycles that have been skipped since the scheduler was created.
+   * @type {Number}
+   */
+  skippedCycles = 0;
+
+  /**
+   * The time that all cycles are anchored to, this is the time the scheduler was started.
+   * @private
+   * @type {(Number|undefined)}
+   */
+  anchor = undefined;
+
+  /**
+   * The ID of the timeout that will start the next cycle.
+   * @private
+   * @type {(Number|undefined)}
+   */
+  timeoutID = undefined;
+
+  /**
+   * When the next cycle is scheduled to start, undefined if not running or a cycle is executing.
+   * @type {(Date|undefined)}
+   */
+  nextRunAt = undefined;
+
+  /**
+   * Whether a cycle is currently executing.
+   * @type {Boolean}
+   */
+  isExecuting = false;
+
+  /**
+   * Creates a new scheduler for the given task.
+   * Note: You must call scheduler.start() to begin running the task.
+   * @param {() => Promise<any>} task The async task to run for each cycle.
+   * @param {Number} interval The interval between the start of each cycle in milliseconds.
+   * @param {Object} [options={}] Extra options to control the scheduler.
+   * @param {String} [options.behindPolicy="skip"] One of Scheduler.BEHIND_POLICY.
+   * @param {Number} [options.historySize=20] The maximum number of cycles to record in the history.
+   */
+  constructor(task, interval, { behindPolicy, historySize } = {}) {
+    this.task = task;
+    this.interval = interval;
+    this.behindPolicy = behindPolicy || this.behindPolicy;
+    this.historySize = historySize || this.historySize;
+  }
+
+  /**
+   * Check if this scheduler is currently running.
+   * @returns {Boolean} True when this scheduler has been started and not stopped.
+   */
+  get isRunning() {
+    return this.anchor !== undefined;
+  }
+
+  /**
+   * The most recently completed cycle.
+   * @returns {(SchedulerCycle|undefined)} The last cycle or undefined if no cycles have completed.
+   */
+  get lastCycle() {
+    return this.history[this.history.length - 1];
+  }
+
+  /**
+   * When this scheduler last showed that it is making progress, that is, when the last cycle finished or when the scheduler was started if that was more recent.
+   * A heartbeat that keeps getting older means a cycle is stuck, since cycles never overlap.
+   * @returns {(Date|undefined)} The time of the last heartbeat or undefined if not running.
+   */
+  get heartbeatAt() {
+    if (!this.isRunning) {
+      return undefined;
+    }
+
+    const last = this.lastCycle;
+    return new Date(Math.max(this.anchor, last ? last.finishedAt.valueOf() : 0));
+  }
+
+  /**
+   * Starts running the task, the first cycle will start after one interval.
+   * Note: If this function is called while the scheduler is already running, it will be restarted.
+   * A cycle that is currently executing will finish but no cycles will overlap it.
+   * This method returns the scheduler instance and thus can be chained.
+   * @returns {this} This scheduler for chaining.
+   */
+  start() {
+    this.stop();
+
+    this.anchor = Date.now();
+    if (!this.isExecuting) {
+      this.scheduleNext();
+    }
+
+    return this;
+  }
+
+  /**
+   * Stops running the task. A cycle that is currently executing will be allowed to finish.
+   * Note: If the scheduler is already stopped, this has no effect.
+   * This method returns the scheduler instance and thus can be chained.
+   * @returns {this} This scheduler for chaining.
+   */
+  stop() {
+    clearTimeout(this.timeoutID);
+    this.timeoutID = undefined;
+    this.nextRunAt = undefined;
+    this.anchor = undefined;
+
+    return this;
+  }
+
+  /**
+   * Determines when the next cycle should start and sets a timeout for it.
+   * @private
+   * @returns {Number} The number of cycles that were missed while the last cycle was executing.
+   */
+  scheduleNext() {
+    const now = Date.now();
+
+    // find the next slot after now that is a whole number of intervals from the anchor
+    const last = this.lastCycle;
+    const elapsed = Math.max(now - this.anchor, 0);
+    const nextSlot = Math.floor(elapsed / this.interval) + 1;
+    let nextRun = this.anchor + nextSlot * this.interval;
+
+    // determine how many slots passed while the last cycle was executing
+    // note: cycles that started before the scheduler was (re)started cannot have missed any slots
+    let missed = 0;
+    if (last && last.startedAt.valueOf() >= this.anchor) {
+      const lastSlot = Math.floor(
+        (last.startedAt.valueOf() - this.anchor) / this.interval
+      );
+      missed = Math.max(nextSlot - lastSlot - 1, 0);
+    }
+
+    // if we fell behind, either skip the missed slots or start the next cycle right away
+    if (missed > 0 && this.behindPolicy === Scheduler.BEHIND_POLICY.IMMEDIATE) {
+      nextRun = now;
+      missed -= 1;
+    }
+
+    if (last && missed > 0) {
+      last.skipped = missed;
+      this.skippedCycles += missed;
+    }
+
+    this.nextRunAt = new Date(nextRun);
+    this.timeoutID = setTimeout(() => this.execute(), Math.max(nextRun - now, 0));
+
+    return missed;
+  }
+
+  /**
+   * Executes a single cycle of the task, records how long it took, and then schedules the next cycle.
+   * @private
+   * @returns {Promise<undefined>} Resolves once the cycle has been recorded, never rejects.
+   */
+  async execute() {
+    this.timeoutID = undefined;
+    this.nextRunAt = undefined;
+    this.isExecuting = true;
+
+    const startedAt = new Date();
+    let error = undefined;
+    try {
+      await this.task();
+    } catch (err) {
+      error = err;
+    }
+    const finishedAt = new Date();
+
+    // record the cycle and trim the history if needed
+    this.history.push({
+      startedAt,
+      finishedAt,
+      duration: finishedAt - startedAt,
+      skipped: 0,
+      error,
+    });
+    this.history = this.history.slice(-this.historySize);
+    this.isExecuting = false;
+
+    // only continue if we were not stopped during this cycle
+    if (this.isRunning) {
+      this.scheduleNext();
+    }
+  }
+}
+
+module.exports = Scheduler;
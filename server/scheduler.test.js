@@ -0,0 +1,171 @@
+const Scheduler = require('./scheduler');
+
+/**
+ * Utility to let pending promise callbacks run, since the fake timers do not run them.
+ * @returns {Promise<undefined>} Resolves once the pending callbacks have run.
+ */
+const flush = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+describe('Scheduler', () => {
+  const RealDate = Date;
+  let now;
+
+  // the clock is faked along with the timers, since cycles are scheduled using the current time
+  beforeEach(() => {
+    jest.useFakeTimers();
+    now = 0;
+    global.Date = class extends RealDate {
+      constructor(...args) {
+        super(...(args.length > 0 ? args : [now]));
+      }
+
+      static now() {
+        return now;
+      }
+    };
+  });
+
+  afterEach(() => {
+    global.Date = RealDate;
+    jest.clearAllTimers();
+  });
+
+  /**
+   * Utility to create a scheduler that was started at time 0 and whose last cycle started at some time.
+   * @param {Number} startedAt When the last cycle started, in milliseconds since the scheduler was started.
+   * @param {Object} [options] The options of the scheduler.
+   * @returns {Scheduler} The scheduler, its next cycle has not been scheduled yet.
+   */
+  const createBehind = (startedAt, options) => {
+    const scheduler = new Scheduler(() => Promise.resolve(), 1000, options);
+    scheduler.anchor = 0;
+    scheduler.history.push({
+      startedAt: new Date(startedAt),
+      finishedAt: new Date(now),
+      duration: now - startedAt,
+      skipped: 0,
+      error: undefined,
+    });
+
+    return scheduler;
+  };
+
+  it('runs the first cycle one interval after being started', () => {
+    const task = jest.fn(() => Promise.resolve());
+    const scheduler = new Scheduler(task, 1000).start();
+
+    expect(scheduler.isRunning).toBe(true);
+    expect(scheduler.nextRunAt).toEqual(new Date(1000));
+
+    jest.advanceTimersByTime(999);
+    expect(task).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    scheduler.stop();
+  });
+
+  it('keeps cycles anchored to the start time so slow cycles do not drift', () => {
+    now = 1250;
+    const scheduler = createBehind(1000);
+
+    expect(scheduler.scheduleNext()).toBe(0);
+    expect(scheduler.nextRunAt).toEqual(new Date(2000));
+    expect(scheduler.lastCycle.skipped).toBe(0);
+  });
+
+  it('skips the cycles missed while a cycle overran its slot', () => {
+    now = 3500;
+    const scheduler = createBehind(1000);
+
+    expect(scheduler.scheduleNext()).toBe(2);
+    expect(scheduler.nextRunAt).toEqual(new Date(4000));
+    expect(scheduler.lastCycle.skipped).toBe(2);
+    expect(scheduler.skippedCycles).toBe(2);
+  });
+
+  it('runs right away when behind with the immediate policy', () => {
+    now = 3500;
+    const scheduler = createBehind(1000, {
+      behindPolicy: Scheduler.BEHIND_POLICY.IMMEDIATE,
+    });
+
+    expect(scheduler.scheduleNext()).toBe(1);
+    expect(scheduler.nextRunAt).toEqual(new Date(3500));
+    expect(scheduler.skippedCycles).toBe(1);
+  });
+
+  it('does not count cycles that started before the scheduler was restarted as behind', () => {
+    now = 3500;
+    const scheduler = createBehind(1000);
+    scheduler.anchor = 3000;
+
+    expect(scheduler.scheduleNext()).toBe(0);
+    expect(scheduler.nextRunAt).toEqual(new Date(4000));
+    expect(scheduler.skippedCycles).toBe(0);
+  });
+
+  it('records each cycle, including any error, and trims the history', async () => {
+    const error = new Error('Failed');
+    const task = jest
+      .fn()
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValue();
+    const scheduler = new Scheduler(task, 1000, { historySize: 2 }).start();
+
+    for (let cycle = 1; cycle <= 3; cycle += 1) {
+      now = cycle * 1000;
+      jest.advanceTimersByTime(1000);
+      await flush();
+    }
+
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(scheduler.history).toHaveLength(2);
+    expect(scheduler.history[0].error).toBe(error);
+    expect(scheduler.lastCycle.error).toBeUndefined();
+
+    scheduler.stop();
+  });
+
+  it('never overlaps a cycle that is still executing', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => (finish = resolve)));
+    const scheduler = new Scheduler(task, 1000).start();
+
+    now = 1000;
+    jest.advanceTimersByTime(1000);
+    now = 3500;
+    jest.advanceTimersByTime(2500);
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.isExecuting).toBe(true);
+
+    finish();
+    await flush();
+    expect(scheduler.isExecuting).toBe(false);
+    expect(scheduler.nextRunAt).toEqual(new Date(4000));
+    expect(scheduler.lastCycle.skipped).toBe(2);
+
+    scheduler.stop();
+  });
+
+  it('stops scheduling cycles once stopped during a cycle', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => (finish = resolve)));
+    const scheduler = new Scheduler(task, 1000).start();
+
+    now = 1000;
+    jest.advanceTimersByTime(1000);
+    scheduler.stop();
+    finish();
+    await flush();
+
+    expect(scheduler.isRunning).toBe(false);
+    expect(scheduler.nextRunAt).toBeUndefined();
+    expect(scheduler.heartbeatAt).toBeUndefined();
+  });
+});
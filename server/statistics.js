@@ -0,0 +1,152 @@
+const _ = require('lodash');
+const config = require('../config');
+const history = require('./history');
+const quietHours = require('./quietHours');
+
+/**
+ * Estimates of how often seats open within a course (or a single section of it), computed from its availability history.
+ * @typedef {Object} CourseStatistics
+ * @property {(String|null)} sectionKey The section the estimates are for, null when they are for the whole course.
+ * @property {(Date|null)} observedSince When the course was first seen within the history, null if it has never been seen.
+ * @property {(Date|null)} observedUntil The end of the period that the estimates cover, null if it has never been seen.
+ * @property {Number} observedDuration The length, in seconds, of the period that the estimates cover.
+ * @property {Number} openings The number of times that seats opened up during the period.
+ * @property {(Number|null)} openingsPerWeek The average number of openings per week, null if the course has never been seen.
+ * @property {(Number|null)} medianRefillTime The median time, in seconds, that it took for opened seats to be taken again, null if no openings have closed.
+ * @property {Array<Number>} openingsByHour The number of openings that started during each hour of the day (local time, 0 to 23).
+ * @property {(Number|null)} peakHour The hour of the day (local time) with the most openings, null if there were no openings.
+ * @property {String} likelihood The estimated likelihood of seats opening, see LIKELIHOOD.
+ */
+
+/**
+ * Defines the estimated likelihood of seats opening in a course.
+ * @readonly
+ * @enum
+ * @type {Object}
+ */
+const LIKELIHOOD = Object.freeze({
+  /** Not enough history has been recorded to estimate a likelihood. */
+  UNKNOWN: 'unknown',
+  /** Seats rarely open. */
+  LOW: 'low',
+  /** Seats open from time to time. */
+  MEDIUM: 'medium',
+  /** Seats open often. */
+  HIGH: 'high',
+});
+
+const WEEK = 7 * 24 * 60 * 60; /* seconds */
+
+/**
+ * Utility to find the median of a list of numbers.
+ * @param {Array<Number>} values The values to find the median of.
+ * @returns {(Number|null)} The median value or null if there are no values.
+ */
+const median = values => {
+  if (values.length <= 0) {
+    return null;
+  }
+
+  const sorted = _.sortBy(values);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const statistics = (module.exports = {
+  LIKELIHOOD,
+
+  /**
+   * Rates the likelihood of seats opening based upon how often they opened and how long they were observed for.
+   * @param {Number} openingsPerWeek The average number of openings per week.
+   * @param {Number} observedDuration The length, in seconds, of the period observed.
+   * @returns {String} The likelihood of seats opening, see LIKELIHOOD.
+   */
+  getLikelihood: (openingsPerWeek, observedDuration) => {
+    const { high, medium, minObserved } = config.likelihoodThresholds;
+
+    if (!(observedDuration >= minObserved)) {
+      return LIKELIHOOD.UNKNOWN;
+    } else if (openingsPerWeek >= high) {
+      return LIKELIHOOD.HIGH;
+    } else if (openingsPerWeek >= medium) {
+      return LIKELIHOOD.MEDIUM;
+    }
+
+    return LIKELIHOOD.LOW;
+  },
+
+  /**
+   * Computes the statistics of a course (or a single section) from its availability history.
+   * Note: The history only covers the period that the course has been watched, so the period observed starts at the first change of the course.
+   *       The statistics of a section use the same period as the course, so the changes of the whole course must be given even when a section is used.
+   * @param {Array<AvailabilityChange>} changes The availability changes of the whole course, usually from a single term.
+   * @param {Object} [options] Options to use while computing the statistics.
+   * @param {String} [options.sectionKey] Only use the changes of this section.
+   * @param {Date} [options.until=new Date()] The end of the period observed, defaults to now.
+   * @param {String} [options.timezone=config.defaultTimezone] The IANA timezone used to find the hour of day of each opening.
+   * @returns {CourseStatistics} The statistics computed from the changes.
+   */
+  compute: (
+    changes,
+    { sectionKey, until = new Date(), timezone = config.defaultTimezone } = {}
+  ) => {
+    const sectionChanges = sectionKey
+      ? changes.filter(change => change.sectionKey === sectionKey)
+      : changes;
+    const openings = history.toOpenings(sectionChanges);
+
+    // a section that never appears within the history has never been seen, even when the rest of the course has
+    const first =
+      sectionChanges.length > 0
+        ? _.minBy(changes, change => change.timestamp.valueOf())
+        : undefined;
+    const observedSince = first ? first.timestamp : null;
+    const observedDuration = first
+      ? Math.max(Math.round((until - observedSince) / 1000), 0)
+      : 0;
+
+    // count the openings that started during each hour of the (local) day
+    const openingsByHour = _.times(24, _.constant(0));
+    openings.forEach(({ openedAt }) => {
+      openingsByHour[Math.floor(quietHours.localMinutes(openedAt, timezone) / 60)] += 1;
+    });
+
+    const openingsPerWeek = first
+      ? _.round(openings.length / Math.max(observedDuration / WEEK, 1 / 7), 2)
+      : null;
+
+    return {
+      sectionKey: sectionKey || null,
+      observedSince,
+      observedUntil: first ? until : null,
+      observedDuration,
+      openings: openings.length,
+      openingsPerWeek,
+      medianRefillTime: median(
+        openings
+          .filter(({ duration }) => duration !== null)
+          .map(({ duration }) => duration)
+      ),
+      openingsByHour,
+      peakHour:
+        openings.length > 0 ? openingsByHour.indexOf(_.max(openingsByHour)) : null,
+      likelihood: statistics.getLikelihood(openingsPerWeek, observedDuration),
+    };
+  },
+
+  /**
+   * Computes the statistics of a whole course along with each of its sections.
+   * @param {Array<AvailabilityChange>} changes The availability changes of the course, usually from a single term.
+   * @param {Object} [options] The options to use, see statistics.compute(...).
+   * @returns {CourseStatistics & { sections: Array<CourseStatistics> }} The statistics of the course with the statistics of each section.
+   */
+  computeCourse: (changes, options = {}) => ({
+    ...statistics.compute(changes, { ...options, sectionKey: undefined }),
+    sections: _(changes)
+      .map('sectionKey')
+      .uniq()
+      .sortBy()
+      .map(sectionKey => statistics.compute(changes, { ...options, sectionKey }))
+      .value(),
+  }),
+});
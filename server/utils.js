@@ -116,6 +116,45 @@ const utils = (module.exports = {
    */
   toUnixEpoch: dateLike => Math.floor(new Date(dateLike).valueOf() / 1000),
 
+  /**
+   * Waits for a promise to settle, rejecting instead if it takes too long.
+   * Note: The work behind the promise is not cancelled, it is only no longer waited for.
+   * @param {Promise<*>} promise The promise to wait for.
+   * @param {Number} timeout The time to wait, in milliseconds.
+   * @param {String} [message='Timed out'] The message of the error rejected with once the time runs out.
+   * @returns {Promise<*>} Resolves or rejects with the promise, or rejects once the time runs out.
+   */
+  withTimeout: (promise, timeout, message = 'Timed out') => {
+    let timer = undefined;
+    return Promise.race([
+      promise,
+      new Promise((_resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeout);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  },
+
+  /**
+   * Determines the default expiry of a notification for some term using config.termDeadlines.
+   * The term key must be a season followed by a two digit year (e.g. "F22"), the deadline is the end of the configured day (UTC).
+   * @param {String} institutionKey The institution the term belongs to, institutions without deadlines use the default deadlines.
+   * @param {String} termKey The key of the term to find the deadline of.
+   * @returns {(Date|undefined)} The deadline of the term or undefined if the term has no known deadline.
+   */
+  getTermDeadline: (institutionKey, termKey) => {
+    const { termDeadlines } = config();
+    const deadlines = termDeadlines[institutionKey] || termDeadlines.default || {};
+    const [, season, year] = /^([a-z]+)(\d{2})$/i.exec(`${termKey}`.trim()) || [];
+    const [, month, day] =
+      /^(\d{1,2})-(\d{1,2})$/.exec((season && deadlines[season.toUpperCase()]) || '') ||
+      [];
+
+    // the deadline must be valid for both the term and institution
+    return month && day
+      ? new Date(Date.UTC(2000 + parseInt(year, 10), month - 1, day, 23, 59, 59))
+      : undefined;
+  },
+
   /**
    * Generates the correct API URL to use for a given resource string.
    * Prepends the config.apiBaseUrl value to the resource string.
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const utils = require('./utils');
+const logger = require('./logger');
+const config = require('../config');
+
+/**
+ * The secret used to sign verification links, see getSecret().
+ * @type {(String|undefined)}
+ */
+let secret = undefined;
+
+/**
+ * Gets the secret used to sign verification links, falling back to a random secret in dev mode when none has been configured.
+ * @throws {Error} When no secret has been configured outside of dev mode.
+ * @returns {String} The secret to sign with.
+ */
+const getSecret = () => {
+  if (!secret) {
+    secret = config.verificationSecret;
+    if (!secret && !config.isDev) {
+      throw new Error(
+        'A verification secret must be set using VERIFICATION_SECRET when running in production'
+      );
+    } else if (!secret) {
+      logger.warn(
+        'No verification secret has been set, verification links will stop working once this process restarts'
+      );
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  return secret;
+};
+
+/**
+ * Utility to sign the details of a verification link.
+ * The contact is part of the signature so a link stops working once the contact of the notification is changed.
+ * @param {Object} notification The notification being verified.
+ * @param {String} notification.accessKey The access key of the notification.
+ * @param {String} notification.contact The contact being verified.
+ * @param {Number} expires When the link expires, in seconds since the epoch.
+ * @returns {String} The signature of the link.
+ */
+const sign = ({ accessKey, contact }, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${accessKey}:${contact}:${expires}`)
+    .digest('hex');
+
+module.exports = {
+  /**
+   * Ensures a verification secret is available so a missing secret stops the server at startup instead of when a link is first sent.
+   * @throws {Error} When no secret has been configured outside of dev mode.
+   */
+  checkSecret: () => {
+    getSecret();
+  },
+
+  /**
+   * Creates the link that verifies the contact of a notification when opened.
+   * @param {Object} notification The notification to verify.
+   * @param {String} notification.accessKey The access key of the notification.
+   * @param {String} notification.contact The contact being verified.
+   * @param {Date} [now=new Date()] The time the link is created at, the link expires config.verificationLinkTtl after this time.
+   * @returns {String} The full URL of the link.
+   */
+  createUrl: (notification, now = new Date()) => {
+    const expires = utils.toUnixEpoch(now) + config.verificationLinkTtl;
+    const path = utils.apiUrl(
+      `notifications/${encodeURIComponent(notification.accessKey)}/verify`
+    );
+
+    return `${config.siteUrl}${path}?expires=${expires}&token=${sign(
+      notification,
+      expires
+    )}`;
+  },
+
+  /**
+   * Checks that the details of a verification link were created for a notification and that the link has not expired.
+   * @param {Object} notification The notification being verified.
+   * @param {String} notification.accessKey The access key of the notification.
+   * @param {String} notification.contact The contact being verified.
+   * @param {Object} link The details taken from the link.
+   * @param {*} link.expires When the link expires, in seconds since the epoch.
+   * @param {*} link.token The signature of the link.
+   * @returns {Boolean} True when the link is valid for the notification.
+   */
+  isValid: (notification, { expires, token }) => {
+    const expiresAt = parseInt(expires, 10);
+    if (
+      !notification ||
+      typeof token !== 'string' ||
+      isNaN(expiresAt) ||
+      expiresAt < utils.toUnixEpoch(new Date())
+    ) {
+      return false;
+    }
+
+    // compare in constant time so the signature cannot be guessed one character at a time
+    const expected = Buffer.from(sign(notification, expiresAt));
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  },
+};
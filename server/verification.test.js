@@ -0,0 +1,102 @@
+/**
+ * Utility to load the verification module with its own config, since the config is read once when first required.
+ * @param {Object} env The environment variables to set while loading.
+ * @returns {Object} The verification module.
+ */
+const load = env => {
+  const previous = Object.keys(env).map(key => [key, process.env[key]]);
+  Object.assign(process.env, env);
+
+  jest.resetModules();
+  const verification = require('./verification');
+
+  previous.forEach(([key, value]) => {
+    if (value === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = value;
+    }
+  });
+  return verification;
+};
+
+/**
+ * Utility to take the details of a verification link.
+ * @param {String} url The full URL of the link.
+ * @returns {{ expires: String, token: String }} The details from the query of the link.
+ */
+const parseLink = url => {
+  const { searchParams } = new URL(url);
+  return { expires: searchParams.get('expires'), token: searchParams.get('token') };
+};
+
+const notification = { accessKey: 'abc123', contact: 'student@uoguelph.ca' };
+
+describe('verification', () => {
+  const verification = load({ VERIFICATION_SECRET: 'test-secret' });
+
+  it('accepts a link created for the notification', () => {
+    const url = verification.createUrl(notification);
+
+    expect(url).toContain('/notifications/abc123/verify?expires=');
+    expect(verification.isValid(notification, parseLink(url))).toBe(true);
+  });
+
+  it('rejects a link once it has expired', () => {
+    const url = verification.createUrl(notification, new Date(0));
+
+    expect(verification.isValid(notification, parseLink(url))).toBe(false);
+  });
+
+  it('rejects a link whose signature or expiry was tampered with', () => {
+    const link = parseLink(verification.createUrl(notification));
+    const token = `${link.token.slice(0, -1)}${link.token.endsWith('0') ? '1' : '0'}`;
+
+    expect(verification.isValid(notification, { ...link, token })).toBe(false);
+    expect(
+      verification.isValid(notification, {
+        ...link,
+        expires: `${parseInt(link.expires, 10) + 60}`,
+      })
+    ).toBe(false);
+    expect(verification.isValid(notification, { ...link, token: 'short' })).toBe(false);
+    expect(verification.isValid(notification, { ...link, token: [link.token] })).toBe(
+      false
+    );
+  });
+
+  it('rejects a link once the contact of the notification has changed', () => {
+    const link = parseLink(verification.createUrl(notification));
+
+    expect(
+      verification.isValid({ ...notification, contact: 'other@uoguelph.ca' }, link)
+    ).toBe(false);
+    expect(verification.isValid(undefined, link)).toBe(false);
+  });
+
+  it('rejects links signed with a different secret', () => {
+    const other = load({ VERIFICATION_SECRET: 'other-secret' });
+    const link = parseLink(other.createUrl(notification));
+
+    expect(verification.isValid(notification, link)).toBe(false);
+  });
+
+  it('requires a secret outside of dev mode', () => {
+    const production = load({ NODE_ENV: 'production', VERIFICATION_SECRET: '' });
+
+    expect(() => production.checkSecret()).toThrow(/VERIFICATION_SECRET/);
+  });
+
+  it('falls back to a random secret in dev mode', () => {
+    const development = load({
+      NODE_ENV: 'development',
+      VERIFICATION_SECRET: '',
+      LOG_LEVEL: 'error',
+    });
+
+    expect(() => development.checkSecret()).not.toThrow();
+    expect(
+      development.isValid(notification, parseLink(development.createUrl(notification)))
+    ).toBe(true);
+  });
+});
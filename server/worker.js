@@ -1,38 +1,20 @@
 const _ = require('lodash');
-const { GraphQLClient } = require('graphql-request');
+const os = require('os');
 const db = require('./db');
 const notifier = require('./notify');
-
-/**
- * Defines the GraphQL query that is used to retrieve the current number of available slots for a given course.
- * Must be used with the following variables object: { institutionKey, courseKey, termKey }.
- * @type {String}
- */
-const slotsQuery = `
-  query Slots(
-    $courseKey: String!
-    $termKey: Term!
-    $institutionKey: School!
-  ) {
-    course(
-      code: $courseKey
-      institution: $institutionKey
-      term: $termKey
-    ) {
-      sections {
-        id
-        available
-        capacity
-        meetings {
-          type
-          name
-          available
-          capacity
-        }
-      }
-    }
-  }
-`;
+const providers = require('./providers');
+const conditions = require('./conditions');
+const matching = require('./matching');
+const courses = require('./courses');
+const quietHours = require('./quietHours');
+const reminders = require('./reminders');
+const flaps = require('./flaps');
+const utils = require('./utils');
+const Scheduler = require('./scheduler');
+const CircuitBreaker = require('./breaker');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const config = require('../config');
 
 /**
  * Handles actual notification checking and sending for Slotty.
@@ -42,32 +24,46 @@ const slotsQuery = `
  */
 class Worker {
   /**
-   * Contains the ID of the interval being used to run this worker.
-   * @type {(Number|undefined)}
+   * Unique identifier of this worker, used to hold leases on the notifications this worker is checking.
+   * @readonly
+   * @type {String}
    */
-  intervalID = undefined;
+  id = `${os.hostname()}-${process.pid}-${utils.generateAccessKey(4)}`;
 
   /**
-   * Holds an instance of a GraphQLClient that can be used to perform course lookups.
+   * Holds the scheduler that runs each cycle of this worker without overlapping cycles.
    * This value should never be undefined after instance construction.
-   * @type {GraphQLClient}
+   * @type {Scheduler}
    */
-  gql = undefined;
+  scheduler = undefined;
 
   /**
-   * Controls the interval value used with setInterval when executing this worker.
-   * Note: Please is `interval` to access and set this value.
-   * @private
-   * @type {Number}
+   * Holds the scheduler that periodically disables expired notifications.
+   * This value should never be undefined after instance construction.
+   * @type {Scheduler}
+   */
+  expiryScheduler = undefined;
+
+  /**
+   * Holds the provider registry that is used to find the correct provider to perform course lookups with.
+   * This value should never be undefined after instance construction.
+   * @type {ProviderRegistry}
+   */
+  providers = undefined;
+
+  /**
+   * Holds the circuit breaker that backs off from course lookups that keep failing.
+   * The breaker is kept per worker and synced with the statuses recorded in the database every check, so every worker (and the API) backs off together.
+   * @type {CircuitBreaker}
    */
-  _interval = 0;
+  breaker = new CircuitBreaker();
 
   /**
    * Get the interval used between each execution of this worker.
    * @returns {Number} The current worker interval in milliseconds.
    */
   get interval() {
-    return this._interval;
+    return this.scheduler.interval;
   }
 
   /**
@@ -76,8 +72,8 @@ class Worker {
    * @param {Number} intervalValue The new value in milliseconds.
    */
   set interval(intervalValue) {
-    // set our internal value
-    this._interval = intervalValue;
+    // set the scheduler's value
+    this.scheduler.interval = intervalValue;
 
     // check if we need to restart the worker to allow the new interval to take effect
     if (this.isRunning) {
@@ -90,17 +86,49 @@ class Worker {
    * @returns {Boolean} True when this worker instance is running.
    */
   get isRunning() {
-    return this.intervalID !== undefined;
+    return this.scheduler.isRunning;
+  }
+
+  /**
+   * Get when the next execution of this worker is scheduled to start.
+   * @returns {(Date|undefined)} The time of the next execution or undefined if stopped or currently executing.
+   */
+  get nextRunAt() {
+    return this.scheduler.nextRunAt;
+  }
+
+  /**
+   * Get when this worker last showed that it is checking notifications, used to detect a worker that is stuck.
+   * @returns {(Date|undefined)} When the last check finished (or the worker started) or undefined if stopped.
+   */
+  get heartbeatAt() {
+    return this.scheduler.heartbeatAt;
+  }
+
+  /**
+   * Get whether a check is currently executing.
+   * @returns {Boolean} True when this worker is in the middle of a check.
+   */
+  get isExecuting() {
+    return this.scheduler.isExecuting;
   }
 
   /**
    * Creates a new worker instance with the given parameters.
    * Note: You must call worker.start() to begin running your worker.
    * @param {Number} interval The duration between executions of this worker in milliseconds.
+   * @param {ProviderRegistry} [registry=providers] The provider registry to use for course lookups, defaults to the shared registry.
    */
-  constructor(interval, webadvisorApi) {
-    this.gql = new GraphQLClient(webadvisorApi, { mode: 'cors' });
-    this._interval = interval;
+  constructor(interval, registry = providers) {
+    this.providers = registry;
+    // need to use an arrow function to keep `this` binded to the worker instance
+    this.scheduler = new Scheduler(() => this.intervalHandler(), interval, {
+      behindPolicy: config.workerBehindPolicy,
+    });
+    this.expiryScheduler = new Scheduler(
+      () => this.expiryHandler(),
+      config.expiryInterval * 1000
+    );
   }
 
   /**
@@ -110,42 +138,31 @@ class Worker {
    * @returns {this} This worker for chaining.
    */
   start() {
-    // check if this worker is already running
-    if (this.intervalID !== undefined) {
-      // stop the worker before re-starting it
-      this.stop();
-    }
-
-    // start the new interval and save the id (need to use an arrow function to keep `this` binded to the worker instance)
-    this.intervalID = setInterval(() => this.intervalHandler(), this.interval);
+    // the schedulers handle restarting if they are already running
+    this.scheduler.start();
+    this.expiryScheduler.start();
 
     return this;
   }
 
   /**
-   * Stops this worker instance from running.
+   * Stops this worker instance from running. A check that is currently executing will be allowed to finish.
    * Note: If worker is already stopped, this has no effect.
    * This method returns the worker instance and thus can be chained.
    * @returns {this} This worker for chaining.
    */
   stop() {
-    // check if this worker is already stopped
-    if (this.intervalID === undefined) {
-      return;
-    }
-
-    // stop this worker
-    clearInterval(this.intervalID);
-    // reset the interval id
-    this.intervalID = undefined;
+    this.scheduler.stop();
+    this.expiryScheduler.stop();
 
     return this;
   }
 
   /**
-   * Handler function that is registered with setInterval to execute this worker.
+   * Performs a single check of all active notifications and sends any messages required.
    * @private
-   * @returns {Promise<Number>} Resolves if check completes successfully with the number of notifications sent.
+   * @returns {Promise<{ total: Number, sent: Number, lookups: Number, errors: Number }>} Resolves if check completes successfully with the number of notifications checked,
+   * messages sent, requests made to the data source, and errors encountered.
    */
   async performSlotCheck() {
     // 1. make DB call to list all notifications needing a check
@@ -153,11 +170,29 @@ class Worker {
     // 3. make a fetch for each course in parallel
     // 4. for each course fetch, perform action required for each relating notification
 
+    // the leases held by this check, any lease that could not be renewed is removed (see below)
+    // a message is only sent while the lease is still held, otherwise another worker may be sending the same message
+    const heldLeases = new Set();
+    const holdsLease = async ({ notificationId }) => {
+      const isHeld =
+        heldLeases.has(notificationId) &&
+        (await db.holdsLease(this.id, notificationId).catch(err => {
+          logger.error('Encountered error while checking a notification lease', err);
+          return false;
+        }));
+      if (!isHeld) {
+        logger.warn('Lost the lease on a notification, skipping it', { notificationId });
+      }
+
+      return isHeld;
+    };
+
     // this function handles step 4 from above, it will perform actions on an individual notification basis
-    const performSingleCheck = async (notification, data) => {
+    // the source contains either the snapshot ID or the raw data to record with each run
+    const performSingleCheck = async (notification, data, source) => {
       // ensure the notification is enabled, verified, and course data is present
       if (!data || !data.course || !data.course.sections) {
-        console.error('Unable to perform action with insufficient data', {
+        logger.error('Unable to perform action with insufficient data', {
           notification,
           data,
         });
@@ -166,75 +201,130 @@ class Worker {
         return 0;
       }
 
-      // object to store event related data
-      const event = {};
-
-      // contains the cleaned section or meeting key
-      const key = notification.sectionKey && notification.sectionKey.toLowerCase().trim();
-      // contains the data used to trigger this run
-      const sourceData = JSON.stringify(data);
-
-      // check if the notification is related to the whole course or a specific section
-      if (key && key.length) {
-        // convert to a list of sections and meetings combined, section key can refer to a specific section or specific meeting
-        const section = data.course.sections
-          .concat(data.course.sections.flatMap(({ meetings }) => meetings || []))
-          .filter(
-            ({ id, available, capacity }) =>
-              id && id.length && available != null && capacity != null
-          )
-          .find(({ id }) => id.toLowerCase().trim() === key);
-
-        // check if we found a valid section and assign event data
-        if (section && section.id) {
-          event.availableSlots = section.available;
-          event.totalSlots = section.capacity;
-        } else {
-          event.availableSlots = 0;
-          event.totalSlots = 0;
+      // match the watched sections (and meeting types) to compute the slot counts for this run
+      const event = matching.computeEvent(notification, data);
+
+      // the combined slots from the last run are used by conditions based upon a change
+      const previous =
+        notification.runId !== undefined
+          ? {
+              availableSlots: notification.availableSlots,
+              totalSlots: notification.totalSlots,
+            }
+          : {};
+      const conditionMet = conditions.isMet(notification, event, previous);
+      // only alert once the condition has been met for long enough to not be a flap
+      const { confirmed, ...streak } = flaps.evaluate(notification, conditionMet);
+
+      // contains the data that is recorded with every run
+      const runData = { ...source, ...event.combined, ...streak };
+
+      // check what actions need to be performed
+      if (
+        notification.notificationSent &&
+        conditionMet &&
+        !conditions.isChange(notification.conditionType)
+      ) {
+        // already sent notification for these slots, carry the reminder state forward to this run
+        const reminderData = {
+          reminderCount: notification.reminderCount,
+          sentAt: notification.sentAt,
+        };
+
+        // check if the user should be reminded that the slots are still open
+        if (!reminders.isDue(notification)) {
+          // no reminder needed, just add this run
+          await db.createRun(
+            { notificationSent: true, ...runData, ...reminderData },
+            notification.notificationId
+          );
+
+          // indicate that no notification was sent
+          return 0;
+        } else if (quietHours.isQuiet(notification) && !notification.wakeUp) {
+          // hold the reminder until the quiet hours end
+          await db.createRun(
+            { notificationSent: true, deferred: true, ...runData, ...reminderData },
+            notification.notificationId
+          );
+
+          // indicate that no notification was sent
+          return 0;
         }
-      } else {
-        // determine what the maximum available slots is for any section of this course
-        const { available, capacity } = data.course.sections.reduce(
-          (max, { available, capacity }) =>
-            available > max.available ? { available, capacity } : max,
-          { available: 0, capacity: 0 }
+
+        // another worker may have claimed the notification once our lease was lost
+        if (!(await holdsLease(notification))) {
+          return 0;
+        }
+
+        // send the next reminder and record it so the count survives worker restarts
+        let error = undefined;
+        const reminderCount = notification.reminderCount + 1;
+        await notifier
+          .sendReminder(notification, event, reminderCount)
+          .catch(err => (error = err));
+        await db.createRun(
+          {
+            notificationSent: true,
+            error,
+            ...runData,
+            reminderCount,
+            sentAt: new Date(),
+          },
+          notification.notificationId
         );
 
-        // assign results to our event data
-        event.availableSlots = available;
-        event.totalSlots = capacity;
-      }
+        // indicate that a notification was sent
+        return 1;
+      } else if (!conditionMet) {
+        // either previously sent notification and need to reset, or need no action
+        await db.createRun(
+          { notificationSent: false, ...runData },
+          notification.notificationId
+        );
 
-      // check what actions need to be performed
-      if (notification.notificationSent && event.availableSlots > 0) {
-        // already sent notification for these slots, no need to send again, just add this run
+        // indicate that no notification was sent
+        return 0;
+      } else if (!confirmed) {
+        // the slots may only be reported briefly, so suppress the alert until they are confirmed by later runs
         await db.createRun(
-          { notificationSent: true, sourceData },
+          { notificationSent: false, suppressed: true, ...runData },
           notification.notificationId
         );
 
         // indicate that no notification was sent
         return 0;
-      } else if (event.availableSlots <= 0) {
-        // either previously sent notification and need to reset, or need no action
+      } else if (quietHours.isQuiet(notification) && !notification.wakeUp) {
+        // inside the quiet hours, so hold the notification and try again once they end if the condition is still met
+        // note: conditions based upon a change keep the previous slots so the change is still detected after the quiet hours
         await db.createRun(
-          { notificationSent: false, sourceData },
+          {
+            notificationSent: false,
+            deferred: true,
+            ...runData,
+            ...(conditions.isChange(notification.conditionType) ? previous : {}),
+          },
           notification.notificationId
         );
 
         // indicate that no notification was sent
         return 0;
-      } else if (event.availableSlots > 0) {
+      } else {
         // need to send notification and add new run with notificationSent = true
+        // note: conditions based upon a change send a notification every time the change occurs
+        // another worker may have claimed the notification once our lease was lost
+        if (!(await holdsLease(notification))) {
+          return 0;
+        }
+
         let error = undefined; // holds an error message if needed
 
         // attempt to send a notification message and capture any error that occurs
         await notifier.sendNotification(notification, event).catch(err => (error = err));
 
-        // log run in db
+        // log run in db, the time sent is recorded so reminders can be scheduled from it
         await db.createRun(
-          { notificationSent: true, error, sourceData },
+          { notificationSent: true, error, ...runData, sentAt: new Date() },
           notification.notificationId
         );
 
@@ -243,9 +333,35 @@ class Worker {
       }
     };
 
+    // pick up the state of the lookups recorded by every worker (including any failing before this worker started)
+    await db
+      .getUpstreamStatuses()
+      .then(statuses => this.breaker.sync(statuses))
+      .catch(err =>
+        logger.error('Encountered error while syncing the status of course lookups', err)
+      );
+
+    // keep track of the work done during this check so it can be recorded
+    const stats = { lookups: 0, errors: 0 };
+
     // the following two variables achieve step 1 from above
-    // grab all active notifications (TODO: use limiting if required for performance)
-    const notifications = await db.listActiveNotifications();
+    // claim a batch of active notifications so no other worker checks them at the same time
+    const notifications = await db.claimActiveNotifications(this.id);
+    notifications.forEach(({ notificationId }) => heldLeases.add(notificationId));
+
+    // renew the leases while this check runs so a slow check does not let another worker claim the same notifications
+    const renewal = setInterval(
+      () =>
+        db
+          .renewLeases(this.id, [...heldLeases])
+          .then(renewed =>
+            heldLeases.forEach(id => !renewed.includes(id) && heldLeases.delete(id))
+          )
+          .catch(err =>
+            logger.error('Encountered error while renewing notification leases', err)
+          ),
+      (config.workerLeaseDuration * 1000) / 4
+    );
     // now generate an object identifying each course and a list of its dependent notifications per institution->course->term
     const notificationsByCourse = _(notifications)
       .groupBy('institutionKey')
@@ -269,51 +385,102 @@ class Worker {
       )
       // the above resulted in an array of objects with the keys for institution, course, and term
       .filter(req => req.institutionKey && req.courseKey && req.termKey)
-      .map(async variables => {
-        // make the fetch request for an individual course (course, institution, and term are variables)
-        // this request is step 3 from above
-        const data = await this.gql.request(slotsQuery, variables).catch(err => {
-          // output any graphql errors that occur
-          console.log(
-            'Encountered error while fetching slot data using variables: ',
-            variables
-          );
-          console.error(err.response.errors || err || 'No error reported');
+      // courses that have gone the longest without being checked are requested first (never checked counts as oldest)
+      .map(variables => ({
+        variables,
+        priority: _.min(
+          notificationsByCourse[variables.institutionKey][variables.courseKey][
+            variables.termKey
+          ].map(({ timestamp }) => (timestamp ? timestamp.valueOf() : 0))
+        ),
+      }))
+      .sortBy('priority')
+      .map(async ({ variables, priority }) => {
+        // skip courses (or whole institutions) whose lookups keep failing until they are due to be tried again
+        if (!this.breaker.canRequest(variables)) {
+          return 0;
+        }
 
-          // return a falsey value so we are aware that an issue has occurred
-          return undefined;
-        });
+        // make the fetch request for an individual course (course, institution, and term are variables)
+        // this request is step 3 from above, the provider used depends on the institution
+        // the lookup goes through the shared course cache so the API and worker do not both query the same course
+        // only lookups that query the data source count as upstream calls, not those answered by the cache or a snapshot
+        const { data, snapshotId } = await courses
+          .lookupSnapshot(variables, {
+            registry: this.providers,
+            priority,
+            isCircuitChecked: false,
+            onRequest: () => {
+              stats.lookups += 1;
+            },
+          })
+          .then(lookup => {
+            this.breaker.recordSuccess(variables);
+            return lookup;
+          })
+          .catch(err => {
+            this.breaker.recordFailure(variables, err);
+            stats.errors += 1;
+
+            // output any lookup errors that occur, the error may not have come from the data source itself
+            logger.error('Encountered error while fetching slot data', {
+              ...variables,
+              error: err || 'No error reported',
+            });
+
+            // return a falsey value so we are aware that an issue has occurred
+            return { data: undefined };
+          });
 
         // exit early if an error occurred
         if (!data) {
           return 0;
         } else if (!data.course || !data.course.sections) {
           // if no error occurred but no sections found, log error and exit early
-          console.error(
-            `Unable to retrieve section data for ${variables.institutionKey} - ${variables.courseKey} - ${variables.termKey}.`
+          stats.errors += 1;
+          logger.error(
+            `Unable to retrieve section data for ${variables.institutionKey} - ${variables.courseKey} - ${variables.termKey}.`,
+            variables
           );
 
           return 0;
         }
 
-        // perform actions for each individual notification and return promises for each
+        // every run for this course shares the snapshot the lookup stored the data in
+        // fall back to storing the data with each run when the snapshot could not be stored
         const { institutionKey, courseKey, termKey } = variables;
+        const source = snapshotId ? { snapshotId } : { sourceData: JSON.stringify(data) };
+
+        // record any changes in the availability of each section so the history of the course is kept
+        await db
+          .recordAvailability({
+            institutionKey,
+            termKey,
+            courseKey,
+            sections: data.course.sections,
+          })
+          .catch(err =>
+            logger.error('Encountered error while recording course availability', err)
+          );
+
+        // perform actions for each individual notification and return promises for each
         const actions = _.map(
           notificationsByCourse[institutionKey][courseKey][termKey],
           notification =>
             // now that we have info for a course, we need to perform actions for each notification dependent on that course
             // this calls the function that performs step 4 from above
-            performSingleCheck(notification, data)
+            performSingleCheck(notification, data, source)
               .then(sent => (typeof sent === 'number' ? sent : 1))
               .catch(err => {
-                console.log(
+                stats.errors += 1;
+                logger.error(
                   'Encountered error while performing action on a notification',
                   {
                     notification,
                     data,
+                    error: err,
                   }
                 );
-                console.error(err);
 
                 return 0;
               })
@@ -335,13 +502,40 @@ class Worker {
           .map(({ value }) => value || 0)
           .sum()
       )
-      .then(sent => ({ total: notifications.length, sent }));
+      .then(sent => ({ total: notifications.length, sent, ...stats }))
+      .finally(() => clearInterval(renewal));
+
+    // record any changes to the state of the circuit breaker so users can see when checks are failing
+    await db
+      .saveUpstreamStatuses(this.breaker.takeChanges())
+      .catch(err =>
+        logger.error(
+          'Encountered error while recording the status of course lookups',
+          err
+        )
+      );
+
+    // release our leases now that every notification in the batch has been checked
+    try {
+      await db.releaseNotifications(
+        this.id,
+        notifications.map(({ notificationId }) => notificationId)
+      );
+    } catch (err) {
+      logger.error(
+        'Encountered error while releasing notification leases, they will be released once expired',
+        err
+      );
+    }
 
-    // clean up old runs to prevent the database getting massive
+    // clean up old runs and the snapshots they used to prevent the database getting massive
     try {
       await db.deletePastRuns();
+      await db.deleteUnusedSnapshots();
+      await db.deletePastAvailability();
+      await db.deletePastWorkerCycles();
     } catch (err) {
-      console.error(
+      logger.error(
         'Encountered error while cleaning up past runs, this may effect DB limits',
         err
       );
@@ -352,27 +546,125 @@ class Worker {
   }
 
   /**
-   * Handler function that is invoked by setInterval and is responsible for call performSlotCheck().
-   * Wraps performSlotCheck in an error handler and logger.
+   * Disables all expired notifications and lets each user know their notification has ended.
    * @private
-   * @returns {undefined}
+   * @returns {Promise<{ total: Number, sent: Number }>} Resolves with the number of notifications expired and messages sent.
    */
-  intervalHandler() {
-    console.log('\nWorker task starting execution...');
-
-    // execute the slot check and attach handlers for success and failure conditions
-    this.performSlotCheck()
-      .then(({ sent, total } = {}) =>
-        console.log(
-          `Worker task ran successfully, processed ${total ||
-            0} notifications resulting in ${sent} messages being sent.`
-        )
-      )
+  async performExpiryCheck() {
+    const notifications = await db.expireNotifications();
+
+    // send the expired messages, a failure to send should not stop the others
+    const results = await Promise.allSettled(
+      notifications.map(notification => notifier.sendExpired(notification))
+    );
+    results
+      .filter(({ status }) => status === 'rejected')
+      .forEach(({ reason }) =>
+        logger.error('Encountered error while sending an expired message', reason)
+      );
+
+    return {
+      total: notifications.length,
+      // note: unverified notifications are expired without sending a message
+      sent: results.filter(
+        ({ status }, idx) => status === 'fulfilled' && notifications[idx].verified
+      ).length,
+    };
+  }
+
+  /**
+   * Handler function that is invoked by the expiry scheduler and is responsible for calling performExpiryCheck().
+   * Wraps performExpiryCheck in an error handler and logger.
+   * @private
+   * @returns {Promise<undefined>} Resolves once the expiry check has finished, never rejects.
+   */
+  async expiryHandler() {
+    return this.performExpiryCheck()
+      .then(({ total, sent }) => {
+        if (total > 0) {
+          logger.info(
+            `Expiry task disabled ${total} expired notifications resulting in ${sent} messages being sent.`,
+            { total, sent }
+          );
+        }
+      })
       .catch(err => {
-        console.log('Worker task encountered an error.');
-        console.error(err);
+        logger.error('Expiry task encountered an error.', err);
       });
   }
+
+  /**
+   * Handler function that is invoked by the scheduler and is responsible for call performSlotCheck().
+   * Wraps performSlotCheck in an error handler and logger.
+   * @private
+   * @returns {Promise<undefined>} Resolves once the slot check has finished, never rejects.
+   */
+  async intervalHandler() {
+    const startedAt = Date.now();
+
+    // attach a cycle ID to everything logged during this cycle (including by the notifier) so a single cycle can be traced
+    return logger.run({ workerId: this.id, cycleId: logger.generateId() }, () => {
+      logger.info('Worker task starting execution...');
+
+      // execute the slot check and attach handlers for success and failure conditions
+      return this.performSlotCheck()
+        .then(({ sent, total, lookups, errors } = {}) => {
+          // show how many course lookups the cache has saved so far
+          const { hits, misses, coalesced, sharedHits } = courses.getCacheStats();
+          logger.info(
+            `Worker task ran successfully in ${Date.now() -
+              startedAt}ms, processed ${total ||
+              0} notifications resulting in ${sent} messages being sent.`,
+            {
+              duration: Date.now() - startedAt,
+              notifications: total || 0,
+              sent,
+              lookups,
+              errors,
+              cache: { hits, misses, coalesced, sharedHits },
+            }
+          );
+
+          return { succeeded: true, notifications: total, sent, lookups, errors };
+        })
+        .catch(err => {
+          logger.error('Worker task encountered an error.', err);
+
+          return { succeeded: false, error: (err && err.message) || `${err}` };
+        })
+        .then(cycle => {
+          metrics.recordCycle(Date.now() - startedAt, cycle.succeeded);
+
+          // record the cycle so the API can show when the worker last checked
+          return db
+            .createWorkerCycle({
+              ...cycle,
+              workerId: this.id,
+              startedAt: new Date(startedAt),
+              finishedAt: new Date(),
+            })
+            .catch(err =>
+              logger.error('Encountered error while recording the worker cycle', err)
+            );
+        })
+        .then(() => {
+          // warn when the worker is falling behind so the interval or batch size can be tuned
+          const duration = Date.now() - startedAt;
+          if (duration > this.interval) {
+            logger.warn(
+              `Worker task took ${duration}ms which is longer than the ${
+                this.interval
+              }ms interval, the next cycle will be ${
+                config.workerBehindPolicy === Scheduler.BEHIND_POLICY.SKIP
+                  ? 'skipped'
+                  : 'shortened'
+              }.`,
+              { duration, interval: this.interval }
+            );
+          }
+        });
+    });
+  }
 }
 
 // export the class directly so we can create multiple instances if needed
@@ -1,15 +1,18 @@
 const Worker = require('./worker');
 const db = require('./db');
+const metrics = require('./metrics');
+const health = require('./health');
+const logger = require('./logger');
 const config = require('../config');
 
 // handle errors gracefully
-const errorHandler = err => console.error('Uncaught error', err);
+const errorHandler = err => logger.error('Uncaught error', err);
 process.on('unhandledRejection', errorHandler);
 process.on('uncaughtException', errorHandler);
 
 // allow cleanup on shutdown
 const cleanupHandler = () => {
-  console.log('Shutting down Slotty Worker...');
+  logger.info('Shutting down Slotty Worker...');
 
   if (db.isOpen) {
     db.close();
@@ -22,20 +25,26 @@ process.on('exit', () => process.emit('cleanup'));
 process.on('SIGINT', () => process.exit(2));
 
 (async () => {
-  console.log('Starting a Slotty worker process...');
+  logger.info('Starting a Slotty worker process...');
   // connect to the database
   await db.open();
 
   // create and run a task worker
-  const worker = new Worker(config.workerInterval * 1000, config.webadvisorApi);
+  const worker = new Worker(config.workerInterval * 1000);
   worker.start();
+
+  // serve the metrics and health checks of this worker on its own port, since the worker process has no web server
+  const app = require('express')();
+  app.get('/metrics', metrics.handler);
+  health.workerRoutes(app, worker);
+  app.listen(config.workerPort, () =>
+    logger.info(
+      `Worker metrics and health checks are now served on port ${config.workerPort}.`
+    )
+  );
 })()
-  .then(() =>
-    console.log(`
-    Slotty worker process is now running!
-    `)
-  )
+  .then(() => logger.info('Slotty worker process is now running!'))
   .catch(err => {
-    console.error('Encountered a fatal error during worker setup!\n', err);
+    logger.error('Encountered a fatal error during worker setup!', err);
     cleanupHandler();
   });
@@ -1,3 +1,24 @@
+/**
+ * Represents an error response returned by the Slotty API.
+ */
+export class APIError extends Error {
+  /**
+   * Construct a new API error from an error response.
+   * @param {Number} status The HTTP status code of the response.
+   * @param {String} message The message describing the error.
+   * @param {Object} [details={}] The full body of the error response, may contain extra fields (e.g. validSections).
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+
+  toString() {
+    return this.message;
+  }
+}
+
 /**
  * Class that handles interactions with the Slotty API.
  */
@@ -28,9 +49,18 @@ export class API {
         'Content-Type': 'application/json',
       },
       ...options,
-    })
-      .then(res => (res.ok ? res : Promise.reject(res.statusText)))
-      .then(res => res.json());
+    }).then(res =>
+      res.ok
+        ? res.json()
+        : res
+            .json()
+            .catch(() => ({}))
+            .then(body =>
+              Promise.reject(
+                new APIError(res.status, body.message || res.statusText, body)
+              )
+            )
+    );
   }
 
   async getNotification(accessKey) {
@@ -58,6 +88,28 @@ export class API {
   async listRuns(accessKey, limit = -1) {
     return this.apiFetch(`runs/list/${accessKey}/${limit}`);
   }
+
+  async getCourse(institutionKey, termKey, courseKey) {
+    const query = [
+      ['institution', institutionKey],
+      ['term', termKey],
+      ['code', courseKey],
+    ]
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return this.apiFetch(`courses?${query}`);
+  }
+
+  async getCourseStatus(institutionKey, termKey, courseKey) {
+    const course = [institutionKey, termKey, courseKey].map(encodeURIComponent).join('/');
+    return this.apiFetch(`courses/${course}/status`);
+  }
+
+  async getCourseStats(institutionKey, termKey, courseKey, sectionKey) {
+    const course = [institutionKey, termKey, courseKey].map(encodeURIComponent).join('/');
+    const query = sectionKey ? `?section=${encodeURIComponent(sectionKey)}` : '';
+    return this.apiFetch(`courses/${course}/stats${query}`);
+  }
 }
 
 export default new API('/api');
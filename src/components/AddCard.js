@@ -1,17 +1,33 @@
-import React, { useState, useMemo, useCallback, useRef } from 'react';
+import React, { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import {
   Text,
   Dropdown,
   Separator,
   TextField,
   MaskedTextField,
+  ChoiceGroup,
   CompoundButton,
   Stack,
   TooltipHost,
   TooltipDelay,
+  DetailsList,
+  DetailsListLayoutMode,
+  SelectionMode,
 } from 'office-ui-fabric-react';
 
-import { schools, terms, defaultNotification } from '../constants';
+import {
+  schools,
+  terms,
+  conditions,
+  contactTypes,
+  defaultNotification,
+} from '../constants';
+import { isEmail } from '../contact';
+import {
+  isConditionValue,
+  toConditionValue,
+  getConditionValueErrorMessage,
+} from '../conditions';
 import API from '../api';
 import InfoModal from './InfoModal';
 import LoadingModal from './LoadingModal';
@@ -23,25 +39,167 @@ import './AddCard.css';
 const objToOptions = obj => Object.keys(obj).map(key => ({ key, text: obj[key] }));
 const schoolOptions = objToOptions(schools);
 const termOptions = objToOptions(terms);
+const conditionOptions = objToOptions(conditions);
+const contactTypeOptions = objToOptions(contactTypes);
+
+const likelihoods = {
+  low: 'Seats rarely open',
+  medium: 'Seats open from time to time',
+  high: 'Seats open often',
+};
+
+const formatHour = hour => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+const formatDuration = seconds =>
+  seconds < 60 * 60
+    ? `${Math.max(Math.round(seconds / 60), 1)} minute(s)`
+    : `${Math.round(seconds / (60 * 60))} hour(s)`;
+
+const formatSlots = ({ available, capacity }) =>
+  available == null || capacity == null ? '-' : `${available} / ${capacity}`;
+
+const availabilityColumns = [
+  { key: 'id', name: 'Section', fieldName: 'id', minWidth: 60, maxWidth: 80 },
+  {
+    key: 'slots',
+    name: 'Open / Total',
+    minWidth: 80,
+    maxWidth: 100,
+    onRender: formatSlots,
+  },
+  {
+    key: 'meetings',
+    name: 'Meetings',
+    minWidth: 120,
+    isMultiline: true,
+    onRender: ({ meetings }) =>
+      meetings
+        .map(meeting =>
+          [
+            meeting.type,
+            meeting.name !== meeting.type && meeting.name,
+            `(${formatSlots(meeting)})`,
+          ]
+            .filter(Boolean)
+            .join(' ')
+        )
+        .join(', '),
+  },
+];
+
+const describeStats = stats => {
+  if (!stats || !likelihoods[stats.likelihood]) {
+    return 'Slotty has not watched this course for long enough to know how often seats open in it.';
+  }
+
+  const details = [
+    `${likelihoods[stats.likelihood]} in this ${
+      stats.sectionKey ? 'section' : 'course'
+    }, about ${stats.openingsPerWeek} time(s) per week`,
+  ];
+  if (stats.peakHour !== null) {
+    details.push(`usually around ${formatHour(stats.peakHour)}`);
+  }
+  if (stats.medianRefillTime !== null) {
+    details.push(
+      `and they are typically taken again within ${formatDuration(
+        stats.medianRefillTime
+      )}`
+    );
+  }
+
+  return `${details.join(', ')}.`;
+};
 
 const AddCard = () => {
   const confirmRef = useRef(null);
 
   const [notification, setNotification] = useState(defaultNotification);
+  const [contactType, setContactType] = useState('text');
   const [result, setResult] = useState();
   const [isLoading, setLoading] = useState(false);
+  const [stats, setStats] = useState();
+  const [course, setCourse] = useState();
+
+  // look up the sections of the course once it is known, so a section can be picked instead of typed
+  const { institutionKey, termKey, courseKey, sectionKey } = notification;
+  useEffect(() => {
+    setCourse(undefined);
+    if (!schools[institutionKey] || !terms[termKey] || !courseKey || !courseKey.trim()) {
+      return undefined;
+    }
+
+    let isCurrent = true;
+    const timeout = setTimeout(
+      () =>
+        API.getCourse(institutionKey, termKey, courseKey.trim())
+          .then(data => isCurrent && setCourse(data))
+          .catch(err => console.warn('Error encountered while looking up course:', err)),
+      500
+    );
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeout);
+    };
+  }, [institutionKey, termKey, courseKey]);
+  const sectionOptions = useMemo(
+    () =>
+      course && [
+        { key: '', text: 'Any section' },
+        ...course.sectionKeys.map(key => ({ key, text: key })),
+      ],
+    [course]
+  );
+
+  // look up how often seats open once the course is known, waiting for the user to stop typing
+  useEffect(() => {
+    setStats(undefined);
+    if (!schools[institutionKey] || !terms[termKey] || !courseKey || !courseKey.trim()) {
+      return undefined;
+    }
+
+    let isCurrent = true;
+    const timeout = setTimeout(
+      () =>
+        API.getCourseStats(
+          institutionKey,
+          termKey,
+          courseKey.trim(),
+          sectionKey && sectionKey.trim()
+        )
+          .then(data => isCurrent && setStats(data))
+          .catch(err =>
+            console.warn('Error encountered while retrieving course statistics:', err)
+          ),
+      500
+    );
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timeout);
+    };
+  }, [institutionKey, termKey, courseKey, sectionKey]);
 
   const canSave = useMemo(() => {
-    const { institutionKey, termKey, contact, courseKey } = notification;
+    const {
+      institutionKey,
+      termKey,
+      contact,
+      courseKey,
+      conditionType,
+      conditionValue,
+    } = notification;
     return (
       schools[institutionKey] &&
       terms[termKey] &&
       contact &&
       contact.length &&
+      (contactType !== 'email' || isEmail(contact)) &&
       courseKey &&
-      courseKey.length
+      courseKey.length &&
+      (conditionType === 'closed' || isConditionValue(conditionValue))
     );
-  }, [notification]);
+  }, [notification, contactType]);
 
   const makeTextOnChange = useCallback(
     key => (_event, value) => setNotification({ ...notification, [key]: value }),
@@ -51,10 +209,26 @@ const AddCard = () => {
     key => (_event, value) => setNotification({ ...notification, [key]: value.key }),
     [notification, setNotification]
   );
+  // keep the value as typed so it can be cleared and retyped, it is only converted once the notification is saved
+  const onConditionValueChange = useCallback(
+    (_event, value) => setNotification({ ...notification, conditionValue: value }),
+    [notification, setNotification]
+  );
   const onContactChange = useCallback(
     (_event, value) =>
-      setNotification({ ...notification, contact: value.replace(/\(|\)|\s|-|_/g, '') }),
-    [notification, setNotification]
+      setNotification({
+        ...notification,
+        contact: contactType === 'email' ? value : value.replace(/\(|\)|\s|-|_/g, ''),
+      }),
+    [notification, setNotification, contactType]
+  );
+  const onContactTypeChange = useCallback(
+    (_event, { key }) => {
+      // the contact entered for one type is never valid for the other
+      setContactType(key);
+      setNotification({ ...notification, contact: '' });
+    },
+    [notification, setNotification, setContactType]
   );
 
   const onReset = useCallback(() => setNotification(defaultNotification), [
@@ -65,7 +239,11 @@ const AddCard = () => {
       // transform the notification
       const notificationData = {
         ...notification,
-        contact: `+1${notification.contact}`,
+        contact:
+          contactType === 'email'
+            ? notification.contact.trim()
+            : `+1${notification.contact}`,
+        conditionValue: toConditionValue(notification.conditionValue),
       };
 
       setLoading(true);
@@ -73,11 +251,30 @@ const AddCard = () => {
         const data = await API.createNotification(notificationData);
         setResult({
           title: 'Notification created',
-          message: `A new notification was successfully created. Please verify the contact method by responding to Slotty's message. Keep track of the following access key for the new notification: "${data.accessKey}"`,
+          message: `A new notification was successfully created. Please verify the contact method by ${
+            contactType === 'email'
+              ? "opening the link in Slotty's email"
+              : "responding to Slotty's message"
+          }. Keep track of the following access key for the new notification: "${
+            data.accessKey
+          }"`,
           clearOnClose: true,
         });
       } catch (err) {
         console.error(err);
+        if (err.status === 422) {
+          const { validSections = [] } = err.details || {};
+          setResult({
+            title: 'Course not found',
+            message: `${err.message}. ${
+              validSections.length
+                ? `Valid sections for this course are: ${validSections.join(', ')}.`
+                : 'Please check the course code and term.'
+            }`,
+          });
+          return;
+        }
+
         setResult({
           title: 'Error encountered',
           message: `Failed to create a new notification. Please try again or contact the site owner.`,
@@ -86,7 +283,7 @@ const AddCard = () => {
         setLoading(false);
       }
     }
-  }, [confirmRef, setLoading, notification]);
+  }, [confirmRef, setLoading, notification, contactType]);
 
   const onResultModalClose = useCallback(() => {
     if (result && result.clearOnClose) {
@@ -100,7 +297,7 @@ const AddCard = () => {
     <Card className="add-notification-card" header="Create a new notification">
       <Text>
         Create a new notification for a whole course or a specific section. Please be
-        aware that each notification you create will lead to text messages being sent.
+        aware that each notification you create will lead to messages being sent.
       </Text>
 
       <Separator />
@@ -122,14 +319,31 @@ const AddCard = () => {
         onChange={makeDropdownOnChange('termKey')}
         required
       />
-      <MaskedTextField
-        label="Enter your phone number to receive notifications at:"
-        description="Note: Slotty currently only supports Canadian phone numbers."
-        mask="(999) 999 - 9999"
-        value={notification.contact}
-        onChange={onContactChange}
+      <ChoiceGroup
+        label="Choose how you'd like to receive notifications:"
+        options={contactTypeOptions}
+        selectedKey={contactType}
+        onChange={onContactTypeChange}
         required
       />
+      {contactType === 'email' ? (
+        <TextField
+          label="Enter your email address to receive notifications at:"
+          type="email"
+          value={notification.contact}
+          onChange={onContactChange}
+          required
+        />
+      ) : (
+        <MaskedTextField
+          label="Enter your phone number to receive notifications at:"
+          description="Note: Slotty currently only supports Canadian phone numbers."
+          mask="(999) 999 - 9999"
+          value={notification.contact}
+          onChange={onContactChange}
+          required
+        />
+      )}
 
       <Separator />
 
@@ -145,12 +359,56 @@ const AddCard = () => {
         onChange={makeTextOnChange('courseKey')}
         required
       />
-      <TextField
-        label="(Optional) Enter the section or meeting code that you're interested in:"
-        description="e.g. for CIS*1500*0101 enter 0101, for WLU enter the CRN."
-        value={notification.sectionKey}
-        onChange={makeTextOnChange('sectionKey')}
+      {course ? (
+        <>
+          <DetailsList
+            className="add-notification-availability"
+            items={course.sections}
+            columns={availabilityColumns}
+            getKey={section => section.id}
+            layoutMode={DetailsListLayoutMode.justified}
+            selectionMode={SelectionMode.none}
+            compact
+          />
+          <Dropdown
+            label="(Optional) Select the section or meeting that you're interested in:"
+            options={sectionOptions}
+            selectedKey={notification.sectionKey || ''}
+            onChange={makeDropdownOnChange('sectionKey')}
+          />
+        </>
+      ) : (
+        <TextField
+          label="(Optional) Enter the section or meeting code that you're interested in:"
+          description="e.g. for CIS*1500*0101 enter 0101, for WLU enter the CRN."
+          value={notification.sectionKey}
+          onChange={makeTextOnChange('sectionKey')}
+        />
+      )}
+      {stats && (
+        <Text className="add-notification-stats" variant="small">
+          {describeStats(stats)}
+        </Text>
+      )}
+      <Dropdown
+        label="Notify me when:"
+        options={conditionOptions}
+        selectedKey={notification.conditionType}
+        onChange={makeDropdownOnChange('conditionType')}
       />
+      {notification.conditionType !== 'closed' && (
+        <TextField
+          label="Number of slots:"
+          description="e.g. use 3 to only be notified when you and two friends can all register in the same section."
+          type="number"
+          min={1}
+          value={`${notification.conditionValue}`}
+          onChange={onConditionValueChange}
+          onGetErrorMessage={getConditionValueErrorMessage}
+          validateOnLoad={false}
+          validateOnFocusOut={true}
+        />
+      )}
 
       <Separator />
       <Stack horizontal wrap horizontalAlign="space-around" tokens={{ childrenGap: 16 }}>
@@ -188,7 +446,7 @@ const AddCard = () => {
 
       <ConfirmDialog
         title="Create Notification"
-        message="Are you sure you want to create a new notification and receive updates for available slots at the phone number listed?"
+        message="Are you sure you want to create a new notification and receive updates for available slots at the contact listed?"
         confirmText="Create"
         ref={confirmRef}
       />
@@ -1,5 +1,11 @@
-import React from 'react';
-import { Separator, Text, Stack } from 'office-ui-fabric-react';
+import React, { useState, useEffect } from 'react';
+import {
+  Separator,
+  Text,
+  Stack,
+  MessageBar,
+  MessageBarType,
+} from 'office-ui-fabric-react';
 
 import AboutCard from './AboutCard';
 import AddCard from './AddCard';
@@ -7,7 +13,25 @@ import FindCard from './FindCard';
 
 import './App.css';
 
+// reads the result of opening a verification link, which redirects here with ?verified=true|false
+// note: the access key is never included, so it does not end up in the server logs or the browser history
+const getVerification = () => {
+  const params = new URLSearchParams(window.location.search);
+  return params.has('verified')
+    ? { verified: params.get('verified') === 'true' }
+    : undefined;
+};
+
 const App = () => {
+  const [verification, setVerification] = useState(getVerification);
+
+  // remove the result from the address so it is not shown again after a refresh
+  useEffect(() => {
+    if (verification) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  }, [verification]);
+
   return (
     <Stack className="app" tokens={{ childrenGap: 16 }}>
       <Stack.Item>
@@ -16,6 +40,21 @@ const App = () => {
         </Separator>
       </Stack.Item>
 
+      {verification && (
+        <Stack.Item>
+          <MessageBar
+            messageBarType={
+              verification.verified ? MessageBarType.success : MessageBarType.error
+            }
+            onDismiss={() => setVerification(undefined)}
+          >
+            {verification.verified
+              ? 'Your email address has been verified and Slotty will now let you know when slots open. Use the access key from your email to find the notification below.'
+              : 'This verification link is invalid or has expired. Please update the contact of your notification to receive a new one.'}
+          </MessageBar>
+        </Stack.Item>
+      )}
+
       <Stack.Item>
         <Separator alignContent="center">
           <AboutCard />
@@ -10,15 +10,32 @@ import {
   PrimaryButton,
 } from 'office-ui-fabric-react';
 
-import { schools, terms, defaultNotification } from '../constants';
+import {
+  schools,
+  terms,
+  conditions,
+  meetingTypes,
+  meetingMatches,
+  defaultNotification,
+} from '../constants';
+import { isEmail } from '../contact';
+import {
+  isConditionValue,
+  toConditionValue,
+  getConditionValueErrorMessage,
+} from '../conditions';
 
 const objToOptions = obj => Object.keys(obj).map(key => ({ key, text: obj[key] }));
 const schoolOptions = objToOptions(schools);
 const termOptions = objToOptions(terms);
+const conditionOptions = objToOptions(conditions);
+const meetingTypeOptions = objToOptions(meetingTypes);
+const meetingMatchOptions = objToOptions(meetingMatches);
 
 const EditNotification = ({
   initialValue = defaultNotification,
   value,
+  contactType = 'text',
   disabled = false,
   showFooter = true,
   canSave = true,
@@ -46,20 +63,70 @@ const EditNotification = ({
     },
     [notification, setNotification, onChange]
   );
+  // keep the value as typed so it can be cleared and retyped, only valid values are passed on to the notification
+  const [conditionValue, setConditionValue] = useState(
+    `${initialValue.conditionValue ?? ''}`
+  );
+  useEffect(() => setConditionValue(`${notification.conditionValue ?? ''}`), [
+    notification,
+    setConditionValue,
+  ]);
+  const onConditionValueChange = useCallback(
+    (_e, value) => {
+      setConditionValue(value);
+      if (isConditionValue(value)) {
+        onSetNotification({ conditionValue: toConditionValue(value) });
+      }
+    },
+    [setConditionValue, onSetNotification]
+  );
+  const onMeetingTypesChange = useCallback(
+    (_e, { key, selected }) => {
+      const types = (notification.meetingTypes || []).filter(type => type !== key);
+      if (selected) {
+        types.push(key);
+      }
+      onSetNotification({ meetingTypes: types.length > 0 ? types : null });
+    },
+    [notification, onSetNotification]
+  );
+  const onMeetingMatchChange = useCallback(
+    (_e, { key: meetingMatch }) => onSetNotification({ meetingMatch }),
+    [onSetNotification]
+  );
+  const onPhoneChange = useCallback(
+    (_e, value) => onSetNotification({ contact: value.replace(/\(|\)|\s|-|_/g, '') }),
+    [onSetNotification]
+  );
+  const getPhoneErrorMessage = useCallback(
+    value =>
+      value && value.replace(/\(|\)|\s|-|_/g, '').length > 0
+        ? ''
+        : 'Please enter a valid 10 digit phone number.',
+    []
+  );
+  const onEmailChange = useCallback((_e, contact) => onSetNotification({ contact }), [
+    onSetNotification,
+  ]);
+  const getEmailErrorMessage = useCallback(
+    value => (isEmail(value) ? '' : 'Please enter a valid email address.'),
+    []
+  );
   const onSaveHandler = useCallback(() => onSave(notification), [notification, onSave]);
   const onResetHandler = useCallback(() => onReset(), [onReset]);
 
   const isValidInput = useMemo(() => {
-    const { institutionKey, termKey, contact, courseKey } = notification;
+    const { institutionKey, termKey, contact, courseKey, conditionType } = notification;
     return (
       schools[institutionKey] &&
       terms[termKey] &&
       contact &&
       contact.length > 0 &&
       courseKey &&
-      courseKey.length > 0
+      courseKey.length > 0 &&
+      (conditionType === 'closed' || isConditionValue(conditionValue))
     );
-  }, [notification]);
+  }, [notification, conditionValue]);
 
   return (
     <>
@@ -87,7 +154,7 @@ const EditNotification = ({
         </Stack.Item>
         <Stack.Item>
           <Checkbox
-            label="Verified number:"
+            label="Verified contact:"
             checked={!!notification.verified}
             onChange={useCallback(() => {}, [])}
             boxSide="end"
@@ -117,29 +184,31 @@ const EditNotification = ({
         ])}
         required
       />
-      <MaskedTextField
-        label="Phone number:"
-        disabled={disabled}
-        mask="(999) 999 - 9999"
-        value={notification.contact || ''}
-        onChange={useCallback(
-          (_e, value) =>
-            onSetNotification({
-              contact: value.replace(/\(|\)|\s|-|_/g, ''),
-            }),
-          [onSetNotification]
-        )}
-        onGetErrorMessage={useCallback(
-          value =>
-            value && value.replace(/\(|\)|\s|-|_/g, '').length > 0
-              ? ''
-              : 'Please enter a valid 10 digit phone number.',
-          []
-        )}
-        validateOnLoad={false}
-        validateOnFocusOut={true}
-        required
-      />
+      {contactType === 'email' ? (
+        <TextField
+          label="Email address:"
+          type="email"
+          disabled={disabled}
+          value={notification.contact || ''}
+          onChange={onEmailChange}
+          onGetErrorMessage={getEmailErrorMessage}
+          validateOnLoad={false}
+          validateOnFocusOut={true}
+          required
+        />
+      ) : (
+        <MaskedTextField
+          label="Phone number:"
+          disabled={disabled}
+          mask="(999) 999 - 9999"
+          value={notification.contact || ''}
+          onChange={onPhoneChange}
+          onGetErrorMessage={getPhoneErrorMessage}
+          validateOnLoad={false}
+          validateOnFocusOut={true}
+          required
+        />
+      )}
       <TextField
         label="Course:"
         disabled={disabled}
@@ -171,6 +240,47 @@ const EditNotification = ({
         )}
         required
       />
+      <Dropdown
+        label="Notify me when:"
+        disabled={disabled}
+        options={conditionOptions}
+        selectedKey={notification.conditionType}
+        onChange={useCallback(
+          (_e, { key: conditionType }) => onSetNotification({ conditionType }),
+          [onSetNotification]
+        )}
+      />
+      {notification.conditionType !== 'closed' && (
+        <TextField
+          label="Number of slots:"
+          disabled={disabled}
+          type="number"
+          min={1}
+          value={conditionValue}
+          onChange={onConditionValueChange}
+          onGetErrorMessage={getConditionValueErrorMessage}
+          validateOnLoad={false}
+          validateOnFocusOut={true}
+        />
+      )}
+      <Dropdown
+        label="Meeting types:"
+        placeholder="Any meeting"
+        disabled={disabled}
+        options={meetingTypeOptions}
+        selectedKeys={notification.meetingTypes || []}
+        onChange={onMeetingTypesChange}
+        multiSelect
+      />
+      {notification.meetingTypes && notification.meetingTypes.length > 1 && (
+        <Dropdown
+          label="Match meeting types when:"
+          disabled={disabled}
+          options={meetingMatchOptions}
+          selectedKey={notification.meetingMatch || 'any'}
+          onChange={onMeetingMatchChange}
+        />
+      )}
 
       {showFooter && (
         <>
@@ -201,6 +311,8 @@ EditNotification.propTypes = {
   initialValue: PropTypes.object,
   /** Optional prop to control the value of this component if needed. */
   value: PropTypes.object,
+  /** The contact type of the notification being edited, used to pick the contact input ('text' or 'email'). */
+  contactType: PropTypes.oneOf(['text', 'email']),
   /** Flag to indicate to this group of inputs should be currently disabled. */
   disabled: PropTypes.bool,
   /** Flag to indicate whether a footer containing a reset and save button should be rendered. */
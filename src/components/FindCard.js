@@ -6,11 +6,14 @@ import {
   PrimaryButton,
   Stack,
   ProgressIndicator,
+  MessageBar,
+  MessageBarType,
 } from 'office-ui-fabric-react';
 import { isEqual } from 'lodash';
 
 import API from '../api';
 import storage from '../storage';
+import { getContactType, fromApiContact, toApiContact } from '../contact';
 import EditNotification from './EditNotification';
 import LoadingModal from './LoadingModal';
 import InfoModal from './InfoModal';
@@ -23,12 +26,42 @@ const FindCard = () => {
   const [saveError, setSaveError] = useState();
   const [notification, setNotification] = useState();
   const [remoteNotification, setRemoteNotification] = useState();
+  const [courseStatus, setCourseStatus] = useState();
   const [search, setSearch] = useState('');
   const [suggestedKeys, setSuggestedKeys] = useState(storage.get('suggested_keys', []));
   const [keyOptions, setKeyOptions] = useState(
     suggestedKeys.map(key => ({ key, text: key }))
   );
 
+  // let the user know when the checks for their course are failing rather than staying silent
+  useEffect(() => {
+    setCourseStatus(undefined);
+    if (!remoteNotification) {
+      return undefined;
+    }
+
+    let isCurrent = true;
+    const { institutionKey, termKey, courseKey } = remoteNotification;
+    API.getCourseStatus(institutionKey, termKey, courseKey)
+      .then(data => isCurrent && setCourseStatus(data))
+      .catch(err =>
+        console.warn('Error encountered while retrieving the course status:', err)
+      );
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [remoteNotification]);
+
+  const retryAt = useMemo(() => {
+    const dates = courseStatus
+      ? [courseStatus.institution, courseStatus.course]
+          .filter(status => status && status.retryAt)
+          .map(status => new Date(status.retryAt).valueOf())
+      : [];
+    return dates.length ? new Date(Math.max(...dates)) : undefined;
+  }, [courseStatus]);
+
   const isDirty = useMemo(
     () =>
       notification && remoteNotification && !isEqual(notification, remoteNotification),
@@ -91,7 +124,7 @@ const FindCard = () => {
 
         const notification = {
           ...data,
-          contact: data.contact && data.contact.slice(2),
+          contact: fromApiContact(data.contact),
         };
 
         setNotification(notification);
@@ -121,7 +154,7 @@ const FindCard = () => {
           return obj;
         }, {});
       if (updates.contact) {
-        updates.contact = `+1${updates.contact}`;
+        updates.contact = toApiContact(updates.contact);
       }
 
       setSaving(true);
@@ -134,7 +167,7 @@ const FindCard = () => {
 
         const notification = {
           ...data,
-          contact: data.contact && data.contact.slice(2),
+          contact: fromApiContact(data.contact),
         };
 
         setNotification(notification);
@@ -227,8 +260,17 @@ const FindCard = () => {
 
       <Separator />
 
+      {courseStatus && courseStatus.failing && (
+        <MessageBar messageBarType={MessageBarType.warning} isMultiline>
+          Checks for this course are currently failing, so Slotty may not notice open
+          slots right away. Slotty will keep retrying
+          {retryAt ? ` (next attempt at ${retryAt.toLocaleTimeString()})` : ''}.
+        </MessageBar>
+      )}
+
       <EditNotification
         value={notification || {}}
+        contactType={getContactType(remoteNotification && remoteNotification.contact)}
         disabled={isSearchLoading || !!searchError || !notification}
         onChange={setNotification}
         onReset={onRevert}
@@ -0,0 +1,26 @@
+/**
+ * Checks whether the number of slots entered for a condition is a whole number of at least 1.
+ * @param {(String|Number)} value The value as entered in a form.
+ * @returns {Boolean} True when the value may be used as the condition value.
+ */
+export const isConditionValue = value =>
+  /^\d+$/.test(`${value}`.trim()) && parseInt(value, 10) >= 1;
+
+/**
+ * Converts the number of slots entered for a condition into the value sent to the API.
+ * Falls back to 1 when the value is not valid, e.g. when it was cleared before choosing a condition that does not use it.
+ * @param {(String|Number)} value The value as entered in a form.
+ * @returns {Number} The condition value to send to the API.
+ */
+export const toConditionValue = value =>
+  isConditionValue(value) ? parseInt(value, 10) : 1;
+
+/**
+ * Gets the error message shown for the number of slots entered for a condition.
+ * @param {(String|Number)} value The value as entered in a form.
+ * @returns {String} The error message, empty when the value is valid.
+ */
+export const getConditionValueErrorMessage = value =>
+  isConditionValue(value) ? '' : 'Please enter a whole number of slots of at least 1.';
+
+export default { isConditionValue, toConditionValue, getConditionValueErrorMessage };
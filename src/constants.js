@@ -4,6 +4,9 @@ export const defaultNotification = {
   contact: '',
   courseKey: '',
   sectionKey: '',
+  conditionType: 'available',
+  conditionValue: 1,
+  meetingMatch: 'any',
 };
 
 export const schools = {
@@ -26,4 +29,36 @@ export const terms = {
   F23: 'Fall 2023',
 };
 
-export default { schools, terms, defaultNotification };
+export const conditions = {
+  available: 'At least this many open slots in a section',
+  availableIncrease: 'Open slots increase by at least this many',
+  capacityIncrease: 'Capacity increases by at least this many',
+  closed: 'All open slots are taken again',
+};
+
+export const meetingTypes = {
+  LEC: 'Lecture',
+  LAB: 'Lab',
+  SEM: 'Seminar',
+  TUT: 'Tutorial',
+};
+
+export const contactTypes = {
+  text: 'Text message',
+  email: 'Email',
+};
+
+export const meetingMatches = {
+  any: 'Any selected type has open slots',
+  all: 'Every selected type has open slots in the same section',
+};
+
+export default {
+  schools,
+  terms,
+  conditions,
+  meetingTypes,
+  meetingMatches,
+  contactTypes,
+  defaultNotification,
+};
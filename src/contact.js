@@ -0,0 +1,32 @@
+/**
+ * Checks whether a contact is an email address rather than a phone number, using the same loose check as the server.
+ * @param {String} contact The contact to check.
+ * @returns {Boolean} True when the contact looks like an email address.
+ */
+export const isEmail = contact =>
+  typeof contact === 'string' && /^\S+@\S+$/.test(contact.trim());
+
+/**
+ * Gets the contact type (see constants.contactTypes) of a contact.
+ * @param {String} contact The contact to check.
+ * @returns {String} Either 'email' or 'text'.
+ */
+export const getContactType = contact => (isEmail(contact) ? 'email' : 'text');
+
+/**
+ * Converts a contact from the API into the value shown in a form, phone numbers drop their +1 country code.
+ * @param {String} contact The contact as stored by the API.
+ * @returns {String} The contact as entered in a form.
+ */
+export const fromApiContact = contact =>
+  contact && !isEmail(contact) && contact.startsWith('+1') ? contact.slice(2) : contact;
+
+/**
+ * Converts a contact entered in a form into the value sent to the API, phone numbers gain the +1 country code.
+ * @param {String} contact The contact as entered in a form.
+ * @returns {String} The contact to send to the API.
+ */
+export const toApiContact = contact =>
+  isEmail(contact) ? contact.trim() : `+1${contact}`;
+
+export default { isEmail, getContactType, fromApiContact, toApiContact };